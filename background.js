@@ -1,12 +1,12 @@
 // Background service worker for Chrome extension
-importScripts('github-sync.js');
+importScripts('github-sync.js', 'page-bridge.js');
 
 // Initialize on install or update
 chrome.runtime.onInstalled.addListener(async () => {
   console.log('Shortcut Helper extension installed or updated');
 
   // Check if storage is already initialized
-  const result = await chrome.storage.local.get(['shortcuts', 'syncSettings']);
+  const result = await chrome.storage.local.get(['shortcuts', 'syncSettings', 'triggerSettings', 'siteRules', 'privacySettings', 'calculatorSettings', 'calculatorMemory', 'dateSettings', 'generatorSettings']);
 
   const initialValues = {};
   let needsUpdate = false;
@@ -28,6 +28,64 @@ chrome.runtime.onInstalled.addListener(async () => {
     needsUpdate = true;
   }
 
+  if (!result.triggerSettings) {
+    initialValues.triggerSettings = {
+      prefix: '/',
+      acceptKeys: ['Tab', 'Enter'],
+      instantExpand: false
+    };
+    needsUpdate = true;
+  }
+
+  if (!result.privacySettings) {
+    initialValues.privacySettings = {
+      excludedSelectors: [] // extra fields never to touch, besides passwords etc.
+    };
+    needsUpdate = true;
+  }
+
+  if (!result.calculatorSettings) {
+    initialValues.calculatorSettings = {
+      precision: 4,     // max decimal places
+      locale: 'en-US',  // '' = browser language; en-IN groups in lakh/crore
+      grouping: false,  // thousands separators
+      currency: '',     // ISO code such as USD or INR, '' = plain number
+      historySize: 10   // recent results listed by a bare /cal:
+    };
+    needsUpdate = true;
+  }
+
+  if (!result.calculatorMemory) {
+    initialValues.calculatorMemory = {
+      ans: null,     // last inserted result
+      variables: {}, // name -> value, from /cal:rate=0.18
+      history: []    // { expression, result }, newest first
+    };
+    needsUpdate = true;
+  }
+
+  if (!result.dateSettings) {
+    initialValues.dateSettings = {
+      format: 'YYYY-MM-DD' // /date: results, in formatDate tokens
+    };
+    needsUpdate = true;
+  }
+
+  if (!result.generatorSettings) {
+    initialValues.generatorSettings = {
+      syncCounters: false // /seq counters also mirrored to chrome.storage.sync
+    };
+    needsUpdate = true;
+  }
+
+  if (!result.siteRules) {
+    initialValues.siteRules = {
+      allowList: [], // empty = every site
+      denyList: []
+    };
+    needsUpdate = true;
+  }
+
   // Only set if missing to prevent resetting user settings on update
   if (needsUpdate) {
     await chrome.storage.local.set(initialValues);
@@ -175,6 +233,72 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
+  // Content scripts can't query permissions themselves
+  if (request.action === 'hasClipboardPermission') {
+    chrome.permissions.contains({ permissions: ['clipboardRead'] }, (granted) => {
+      sendResponse({ granted });
+    });
+    return true;
+  }
+
+  // Is expansion allowed in this frame/tab? Content scripts ask about
+  // themselves; the popup passes the tab it is showing.
+  if (request.action === 'getSiteStatus') {
+    const tabId = request.tabId ?? sender.tab?.id;
+    const urls = request.url ? [request.url] : [sender.tab?.url, sender.url];
+    getSiteStatus(tabId, urls).then(sendResponse);
+    return true;
+  }
+
+  // Frames of a tab talk to each other through here (cross-origin frames
+  // can't reach each other's content scripts directly)
+  if (request.action === 'relayToFrame') {
+    if (sender.tab) {
+      chrome.tabs.sendMessage(sender.tab.id, { ...request.message, sourceFrameId: sender.frameId }, { frameId: request.frameId })
+        .catch(() => { /* frame gone or not running the content script */ });
+    }
+    return false;
+  }
+
+  // An editor that needs page-world access was found in the sender's frame
+  if (request.action === 'injectPageBridge') {
+    if (!sender.tab) return false;
+    chrome.scripting.executeScript({
+      target: { tabId: sender.tab.id, frameIds: [sender.frameId] },
+      world: 'MAIN',
+      func: installPageBridge,
+      args: [request.nonce]
+    })
+      .then(([injection]) => sendResponse({ success: !!(injection && injection.result) }))
+      .catch(() => sendResponse({ success: false }));
+    return true;
+  }
+
+  // /seq inserts take their number here, so no two tabs or frames share one
+  if (request.action === 'reserveCounter') {
+    reserveCounter(request.name)
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'editCounters') {
+    editCounters(request.edits, request.removed)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'setSiteBlocked') {
+    setSiteBlocked(request.url, request.blocked).then(sendResponse);
+    return true;
+  }
+
+  if (request.action === 'setTabPaused') {
+    setTabPaused(request.tabId, request.paused).then(() => sendResponse({ success: true }));
+    return true;
+  }
+
   // 🔥 NEW: Get GitHub file info
   if (request.action === 'getGitHubInfo') {
     chrome.storage.local.get(['syncSettings'], async (result) => {
@@ -196,6 +320,261 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   }
 });
 
+// ===== SITE RULES & PAUSE =====
+// Patterns are either a domain ("bank.com", also matching its subdomains)
+// or a URL pattern with * wildcards ("*.corp.net/admin/*", "https://x.com/*").
+function matchesSitePattern(url, pattern) {
+  const toRegex = (glob) => new RegExp('^' + glob.split('*').map(part =>
+    part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$', 'i');
+
+  if (pattern.includes('://')) {
+    return toRegex(pattern).test(url.href);
+  }
+
+  const slash = pattern.indexOf('/');
+  const hostPattern = (slash === -1 ? pattern : pattern.slice(0, slash)).toLowerCase();
+  const pathPattern = slash === -1 ? null : pattern.slice(slash);
+  const host = url.hostname.toLowerCase();
+
+  const hostMatches = hostPattern.includes('*')
+    ? toRegex(hostPattern).test(host) || (hostPattern.startsWith('*.') && host === hostPattern.slice(2))
+    : host === hostPattern || host.endsWith('.' + hostPattern);
+
+  return hostMatches && (!pathPattern || toRegex(pathPattern).test(url.pathname + url.search));
+}
+
+function isUrlAllowed(urlString, siteRules) {
+  let url;
+  try {
+    url = new URL(urlString);
+  } catch (e) {
+    return true; // about:blank, srcdoc frames etc. follow their tab
+  }
+  if (!url.hostname) return true;
+
+  const { allowList = [], denyList = [] } = siteRules || {};
+  if (denyList.some(pattern => matchesSitePattern(url, pattern))) return false;
+  if (allowList.length > 0) return allowList.some(pattern => matchesSitePattern(url, pattern));
+  return true;
+}
+
+// The popup's Disable/Enable site button. Disabling denies the hostname;
+// enabling drops every deny pattern matching the URL and, when an allow list
+// is in use, adds the hostname to it.
+async function setSiteBlocked(urlString, blocked) {
+  const url = new URL(urlString);
+  const { siteRules = {} } = await chrome.storage.local.get('siteRules');
+  let { allowList = [], denyList = [] } = siteRules;
+  let removed = [];
+
+  if (blocked) {
+    if (!denyList.includes(url.hostname)) denyList = [...denyList, url.hostname];
+  } else {
+    removed = denyList.filter(pattern => matchesSitePattern(url, pattern));
+    denyList = denyList.filter(pattern => !removed.includes(pattern));
+    if (allowList.length > 0 && !allowList.some(pattern => matchesSitePattern(url, pattern))) {
+      allowList = [...allowList, url.hostname];
+    }
+  }
+
+  const updated = { ...siteRules, allowList, denyList };
+  await chrome.storage.local.set({ siteRules: updated });
+  return { siteRules: updated, removed };
+}
+
+// Paused tabs live in session storage — the service worker may be restarted,
+// and a pause shouldn't outlive the browser session
+async function getPausedTabs() {
+  const result = await chrome.storage.session.get('pausedTabs');
+  return result.pausedTabs || [];
+}
+
+async function getSiteStatus(tabId, urls) {
+  const { siteRules } = await chrome.storage.local.get('siteRules');
+  const pausedTabs = await getPausedTabs();
+
+  const blocked = urls.filter(Boolean).some(url => !isUrlAllowed(url, siteRules));
+  const paused = tabId !== undefined && pausedTabs.includes(tabId);
+  return { enabled: !blocked && !paused, blocked, paused };
+}
+
+async function setTabPaused(tabId, paused) {
+  const pausedTabs = (await getPausedTabs()).filter(id => id !== tabId);
+  if (paused) pausedTabs.push(tabId);
+  await chrome.storage.session.set({ pausedTabs });
+
+  // Running content scripts switch off/on; frames that stayed inactive get injected
+  try {
+    await chrome.tabs.sendMessage(tabId, { action: 'siteStatusChanged' });
+  } catch (e) {
+    // No content script listening in this tab
+  }
+  if (!paused) injectContentScript(tabId);
+}
+
+// Rules changed — running content scripts re-check themselves; every open
+// tab on a newly allowed site gets injected right away
+chrome.storage.onChanged.addListener(async (changes, namespace) => {
+  if (namespace === 'local' && changes.siteRules) {
+    const { oldValue, newValue } = changes.siteRules;
+    const tabs = await chrome.tabs.query({});
+    tabs
+      .filter(tab => tab.url && !isUrlAllowed(tab.url, oldValue) && isUrlAllowed(tab.url, newValue))
+      .forEach(tab => injectContentScript(tab.id));
+  }
+});
+
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  const pausedTabs = await getPausedTabs();
+  if (pausedTabs.includes(tabId)) {
+    await chrome.storage.session.set({ pausedTabs: pausedTabs.filter(id => id !== tabId) });
+  }
+});
+
+// ===== /seq COUNTERS =====
+// Inserts and settings edits run one at a time through counterQueue, so each
+// number is handed out once. Counters live in chrome.storage.local; with
+// syncCounters on they are mirrored to chrome.storage.sync in batches, as
+// sync storage only takes a few writes a minute.
+let counterQueue = Promise.resolve();
+let counterSyncTimer = null;
+let counterSyncDue = 0;
+
+function queueCounterTask(task) {
+  const run = counterQueue.then(task);
+  counterQueue = run.catch(() => {});
+  return run;
+}
+
+async function reserveCounter(name) {
+  return queueCounterTask(async () => {
+    const { counters = {} } = await chrome.storage.local.get('counters');
+    const counter = counters[name] || { format: '#', next: 1 };
+    await chrome.storage.local.set({ counters: { ...counters, [name]: { ...counter, next: counter.next + 1 } } });
+    scheduleCounterSync();
+    return { value: counter.next, format: counter.format };
+  });
+}
+
+// Only the counters changed or removed in settings — the rest keep the
+// values pages moved them on to meanwhile. No "next" keeps the current one.
+async function editCounters(edits, removed) {
+  return queueCounterTask(async () => {
+    const { counters = {} } = await chrome.storage.local.get('counters');
+    for (const [name, edit] of Object.entries(edits)) {
+      counters[name] = { format: edit.format, next: edit.next ?? (counters[name] ? counters[name].next : 1) };
+    }
+    removed.forEach(name => delete counters[name]);
+    await chrome.storage.local.set({ counters });
+
+    // Removals reach the synced copy with the next push
+    if (removed.length > 0) {
+      const { removedCounters = [] } = await chrome.storage.session.get('removedCounters');
+      await chrome.storage.session.set({ removedCounters: [...new Set([...removedCounters, ...removed])] });
+    }
+    scheduleCounterSync();
+  });
+}
+
+// A push already due sooner covers this one
+function scheduleCounterSync(delay = 2000) {
+  if (counterSyncTimer && counterSyncDue <= Date.now() + delay) return;
+  clearTimeout(counterSyncTimer);
+  counterSyncDue = Date.now() + delay;
+  counterSyncTimer = setTimeout(() => {
+    counterSyncTimer = null;
+    pushCounters();
+  }, delay);
+}
+
+// Both copies end up with every counter at the higher of their two "next"
+// values, so neither side hands out a number again
+async function pushCounters() {
+  const { generatorSettings = {} } = await chrome.storage.local.get('generatorSettings');
+  if (!generatorSettings.syncCounters) return;
+
+  try {
+    await queueCounterTask(async () => {
+      const { counters = {} } = await chrome.storage.local.get('counters');
+      const { counters: synced = {} } = await chrome.storage.sync.get('counters');
+      const { removedCounters = [] } = await chrome.storage.session.get('removedCounters');
+
+      const merged = { ...counters };
+      for (const [name, counter] of Object.entries(synced)) {
+        if (removedCounters.includes(name)) continue;
+        merged[name] = merged[name]
+          ? { ...merged[name], next: Math.max(merged[name].next, counter.next) }
+          : counter;
+      }
+
+      if (JSON.stringify(merged) !== JSON.stringify(synced)) {
+        await chrome.storage.sync.set({ counters: merged });
+      }
+      if (JSON.stringify(merged) !== JSON.stringify(counters)) {
+        await chrome.storage.local.set({ counters: merged });
+      }
+      await chrome.storage.session.remove('removedCounters');
+    });
+  } catch (error) {
+    // Usually MAX_WRITE_OPERATIONS_PER_MINUTE — the local copy is still right
+    console.error('Counter sync failed:', error);
+    scheduleCounterSync(60000);
+  }
+}
+
+// Another device moved counters on, edited or removed them
+async function pullCounters({ oldValue = {}, newValue = {} }) {
+  const { generatorSettings = {} } = await chrome.storage.local.get('generatorSettings');
+  if (!generatorSettings.syncCounters) return;
+
+  await queueCounterTask(async () => {
+    const { counters = {} } = await chrome.storage.local.get('counters');
+    const merged = { ...counters };
+    for (const [name, counter] of Object.entries(newValue)) {
+      const local = counters[name];
+      // A format only comes over when it was changed on the other side
+      const formatChanged = !oldValue[name] || oldValue[name].format !== counter.format;
+      merged[name] = local
+        ? { format: formatChanged ? counter.format : local.format, next: Math.max(local.next, counter.next) }
+        : counter;
+    }
+    Object.keys(oldValue)
+      .filter(name => !(name in newValue))
+      .forEach(name => delete merged[name]);
+
+    if (JSON.stringify(merged) !== JSON.stringify(counters)) {
+      await chrome.storage.local.set({ counters: merged });
+    }
+  });
+}
+
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace === 'sync' && changes.counters) {
+    pullCounters(changes.counters).catch(error => console.error('Counter sync failed:', error));
+  }
+  // Turning sync on joins this device's counters with the synced ones
+  if (namespace === 'local' && changes.generatorSettings) {
+    const { oldValue = {}, newValue = {} } = changes.generatorSettings;
+    if (newValue.syncCounters && !oldValue.syncCounters) scheduleCounterSync(0);
+  }
+});
+
+// The worker may have stopped before the last push
+scheduleCounterSync();
+
+// ===== DIAGNOSTICS =====
+// Detection engine counters of every frame in a tab, one entry per frame.
+// From the service worker console: getEngineStats(tabId).then(console.table)
+async function getEngineStats(tabId) {
+  const results = await chrome.scripting.executeScript({
+    target: { tabId, allFrames: true },
+    func: () => (window.__shortcutHelperStats ? window.__shortcutHelperStats() : null)
+  });
+  return results
+    .filter(frame => frame.result)
+    .map(frame => ({ frameId: frame.frameId, ...frame.result }));
+}
+
 // ===== PROGRAMMATIC INJECTION =====
 // Re-inject content.js into ALL frames when a tab finishes loading.
 // This is a failsafe for complex apps (Google Sheets, Office Online)
@@ -213,9 +592,14 @@ chrome.tabs.onActivated.addListener((activeInfo) => {
 
 async function injectContentScript(tabId) {
   try {
+    // Denied sites and paused tabs are never injected
+    const tab = await chrome.tabs.get(tabId);
+    const status = await getSiteStatus(tabId, [tab.url]);
+    if (!status.enabled) return;
+
     await chrome.scripting.executeScript({
       target: { tabId: tabId, allFrames: true },
-      files: ['content.js']
+      files: ['editor-adapters.js', 'content.js']
     });
   } catch (e) {
     // Silently fail for restricted pages (chrome://, edge://, etc.)
@@ -11,28 +11,137 @@
       this.shortcuts = {};
       this.previewElement = null;
       this.currentMatch = null;
+      this.expansions = new WeakMap(); // element -> last expansion, for undo
+      this.triggerSettings = { prefix: '/', acceptKeys: ['Tab', 'Enter'], instantExpand: false };
+      this.siteEnabled = true; // false while the tab is paused or the site denied
+      this.privacySettings = { excludedSelectors: [] };
+      this.calculatorSettings = { precision: 4, locale: 'en-US', grouping: false, currency: '', historySize: 10 };
+      this.calculatorMemory = { ans: null, variables: {}, history: [] }; // /cal ans, name=value, recent results
+      this.dateSettings = { format: 'YYYY-MM-DD' }; // /date: results
+      this.counters = {}; // /seq name -> { format, next }
+      this.sensitiveFields = new WeakSet(); // fields once detected as sensitive
+      this.isTopFrame = window === window.top;
+      this.framePreview = null; // top frame: mirror of a child frame's preview
+
+      // Detection engine counters (see getEngineStats)
+      this.stats = {
+        startedAt: performance.now(),
+        detections: 0,      // trigger checks run
+        detectTimeMs: 0,
+        pollBursts: 0,
+        pollTicks: 0,
+        pollTimeMs: 0
+      };
       this.init();
     }
 
     async init() {
+      // Denied sites and paused tabs are left completely untouched. Clearing
+      // the guard lets a later injection (e.g. on resume) start over.
+      if (!(await this.checkSiteEnabled())) {
+        window.__shortcutHelperInitialized = false;
+        return;
+      }
+
       await this.loadShortcuts();
       this.setupEventListeners();
       this.setupMutationObserver();
+
+      // Read per frame by the background's getEngineStats (same isolated world)
+      window.__shortcutHelperStats = () => this.getEngineStats();
     }
 
     async loadShortcuts() {
-      const result = await chrome.storage.local.get('shortcuts');
+      const result = await chrome.storage.local.get(['shortcuts', 'triggerSettings', 'privacySettings', 'calculatorSettings', 'calculatorMemory', 'dateSettings', 'counters']);
       this.shortcuts = result.shortcuts || {};
+      this.triggerSettings = { ...this.triggerSettings, ...result.triggerSettings };
+      this.privacySettings = { ...this.privacySettings, ...result.privacySettings };
+      this.calculatorSettings = { ...this.calculatorSettings, ...result.calculatorSettings };
+      this.calculatorMemory = { ...this.calculatorMemory, ...result.calculatorMemory };
+      this.dateSettings = { ...this.dateSettings, ...result.dateSettings };
+      this.counters = result.counters || {};
+    }
+
+    // Ask the background whether this frame/tab may expand shortcuts
+    // (site allow/deny lists and the per-tab pause)
+    async checkSiteEnabled() {
+      try {
+        const status = await chrome.runtime.sendMessage({ action: 'getSiteStatus' });
+        return !status || status.enabled !== false;
+      } catch (e) {
+        return true; // Background unreachable — keep working as before
+      }
+    }
+
+    async refreshSiteStatus() {
+      this.siteEnabled = await this.checkSiteEnabled();
+      if (!this.siteEnabled) {
+        this.removePreview();
+        this.currentMatch = null;
+        this.tabStops = null;
+      }
     }
 
     setupEventListeners() {
       // Listen for storage changes to update shortcuts
-      chrome.storage.onChanged.addListener((changes) => {
+      chrome.storage.onChanged.addListener((changes, areaName) => {
         if (changes.shortcuts) {
           this.shortcuts = changes.shortcuts.newValue || {};
         }
+        if (changes.triggerSettings) {
+          this.triggerSettings = { ...this.triggerSettings, ...changes.triggerSettings.newValue };
+        }
+        if (changes.siteRules) {
+          this.refreshSiteStatus();
+        }
+        if (changes.privacySettings) {
+          this.privacySettings = { ...this.privacySettings, ...changes.privacySettings.newValue };
+        }
+        if (changes.calculatorSettings) {
+          this.calculatorSettings = { ...this.calculatorSettings, ...changes.calculatorSettings.newValue };
+        }
+        if (changes.calculatorMemory) {
+          this.calculatorMemory = { ans: null, variables: {}, history: [], ...changes.calculatorMemory.newValue };
+        }
+        if (changes.dateSettings) {
+          this.dateSettings = { ...this.dateSettings, ...changes.dateSettings.newValue };
+        }
+        // Only for the /seq preview — inserts reserve their number in the background
+        if (changes.counters && areaName === 'local') {
+          this.counters = changes.counters.newValue || {};
+        }
+      });
+
+      // Pause/resume of this tab from the popup
+      chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+        if (request.action === 'siteStatusChanged') {
+          this.refreshSiteStatus();
+        }
+
+        // Previews of embedded frames, drawn by the top frame
+        if (request.action === 'showFramePreview') {
+          this.showFramePreview(request);
+        }
+        if (request.action === 'hideFramePreview') {
+          this.removeFramePreview(request.sourceFrameId);
+        }
+        if (request.action === 'framePreviewClicked') {
+          this.handleFramePreviewClick(request);
+        }
+        if (request.action === 'framePreviewInput') {
+          this.handleFramePreviewInput(request);
+        }
+        if (request.action === 'framePreviewSubmitted') {
+          this.handleFramePreviewSubmit();
+        }
+        if (request.action === 'framePreviewDismissed') {
+          this.removePreview();
+        }
       });
 
+      // Child frames asking where they sit on the page
+      window.addEventListener('message', this.handleFrameMessage.bind(this));
+
       // LAYER 1: Standard input events in capture phase
       document.addEventListener('input', this.handleInput.bind(this), true);
       document.addEventListener('click', this.handleClick.bind(this));
@@ -51,14 +160,39 @@
         }
       }, true);
 
-      // LAYER 3: Polling fallback — checks every 300ms for shortcut patterns
-      // This is the ultimate brute-force approach for apps that block ALL events
-      this.startPolling();
+      // LAYER 3: Editors that handle typing themselves cancel beforeinput, so
+      // no input event follows — check once they have applied the change
+      window.addEventListener('beforeinput', (e) => {
+        if (e.defaultPrevented && e.target && this.isEditableElement(e.target)) {
+          const target = e.target;
+          setTimeout(() => this.handleInput({ target }), 0);
+        }
+      });
+
+      // LAYER 4: Caret moved (arrows, clicks) — re-check the open match so it
+      // follows the caret instead of expanding in the wrong place
+      document.addEventListener('selectionchange', () => {
+        const active = document.activeElement;
+        if (this.currentMatch && active === this.currentMatch.target) {
+          this.handleInput({ target: active });
+        }
+      });
+
+      // LAYER 5: Bounded polling after keystrokes in editors that block ALL events
+      document.addEventListener('keydown', (e) => {
+        if (this.siteEnabled && this.needsPollingFallback(e.target)) {
+          this.startPollingBurst();
+        }
+      }, true);
+
+      // Keep the last selection around for the {selection} placeholder
+      this.trackSelection();
     }
 
     // Check if an element is editable
     isEditableElement(el) {
       if (!el) return false;
+      if (this.isSensitiveField(el)) return false;
       const tag = el.tagName;
       if (tag === 'INPUT' && el.type !== 'checkbox' && el.type !== 'radio' && el.type !== 'submit' && el.type !== 'button') return true;
       if (tag === 'TEXTAREA') return true;
@@ -70,37 +204,114 @@
       return false;
     }
 
-    // Polling fallback: periodically check active element for shortcut patterns
-    startPolling() {
+    // ===== SENSITIVE FIELDS =====
+    // Password, payment and one-time-code fields (and anything excluded by the
+    // page or the user) are never read, watched or expanded into
+    isSensitiveField(el) {
+      if (!el || el.nodeType !== 1) return false;
+      if (this.sensitiveFields.has(el)) return true;
+
+      // Remembered, so a "show password" toggle (type=text) doesn't expose it
+      if (this.detectSensitiveField(el)) {
+        this.sensitiveFields.add(el);
+        return true;
+      }
+
+      // The user's selectors can change at any time, so they are never cached
+      return this.isExcludedByUser(el);
+    }
+
+    detectSensitiveField(el) {
+      if (el.tagName === 'INPUT' && el.type === 'password') return true;
+
+      const autocomplete = (el.getAttribute('autocomplete') || '').toLowerCase();
+      if (/(^|\s)(cc-[a-z-]+|one-time-code|current-password|new-password)(\s|$)/.test(autocomplete)) return true;
+
+      // Payment/OTP inputs without autocomplete hints, recognised by name or id
+      if (el.tagName === 'INPUT') {
+        const hint = ((el.name || '') + ' ' + (el.id || '')).toLowerCase();
+        if (/card.?(num|no)|cc.?(num|no)|cvc|cvv|csc|security.?code|one.?time|passcode/.test(hint)) return true;
+        if (/(^|[\s_-])(otp|pin|ssn)([\s_-]|$)/.test(hint)) return true;
+      }
+
+      // Opted out by the page, on the field or a container around it
+      return el.closest('[data-shortcut-ignore], [data-sensitive], [data-private]') !== null;
+    }
+
+    // Excluded by the user's own selectors from the popup
+    isExcludedByUser(el) {
+      return this.privacySettings.excludedSelectors.some(selector => {
+        try {
+          return el.closest(selector) !== null;
+        } catch (e) {
+          return false; // invalid selector
+        }
+      });
+    }
+
+    // ===== POLLING FALLBACK =====
+    // Some editors (Google Sheets/Docs, Office Online) swallow input events.
+    // A keystroke in one of them starts a short polling burst that stops on
+    // its own once typing pauses — nothing polls while the user is idle.
+    needsPollingFallback(el) {
+      const registry = window.ShortcutEditorAdapters;
+      return !!registry && registry.needsPolling(el, location.hostname);
+    }
+
+    startPollingBurst() {
+      this._pollUntil = performance.now() + 2000;
+      if (this._pollTimer) return;
+
+      this.stats.pollBursts++;
       this._lastPolledValue = '';
       this._lastPolledElement = null;
-      this._pollDebugCounter = 0;
-      setInterval(() => {
-        // Try multiple strategies to find the editable element
-        const elements = this.findAllEditableTargets();
-
-        // Debug: log every 10th poll to avoid flooding console
-        this._pollDebugCounter++;
-        if (this._pollDebugCounter % 10 === 0 && elements.size > 0) {
-          for (const el of elements) {
-            const val = this.getValue(el);
-          }
+      this._pollTimer = setInterval(() => {
+        if (!this.siteEnabled || performance.now() > this._pollUntil) {
+          clearInterval(this._pollTimer);
+          this._pollTimer = null;
+          return;
         }
+        this.pollOnce();
+      }, 150);
+    }
 
-        for (const el of elements) {
-          const value = this.getValue(el);
-          if (!value) continue;
+    pollOnce() {
+      const start = performance.now();
 
-          // Check if value contains any shortcut patterns
-          const hasPattern = value.match(/\/[a-zA-Z0-9]+(:?\S*)$/) || value.includes('/cal:');
-          if (hasPattern && (value !== this._lastPolledValue || el !== this._lastPolledElement)) {
-            this._lastPolledValue = value;
-            this._lastPolledElement = el;
-            this.handleInput({ target: el });
-            break; // Only handle the first match
-          }
+      // Try multiple strategies to find the editable element
+      const elements = this.findAllEditableTargets();
+
+      for (const el of elements) {
+        const value = this.getTriggerContext(el);
+        if (!value) continue;
+
+        // Check if text before the caret ends with a shortcut pattern
+        const hasPattern = value.match(this.triggerRegex('[a-zA-Z0-9]+(:?\\S*)$')) || value.match(this.triggerRegex('(?:cal|conv|date):'));
+        if (hasPattern && (value !== this._lastPolledValue || el !== this._lastPolledElement)) {
+          this._lastPolledValue = value;
+          this._lastPolledElement = el;
+          this.handleInput({ target: el });
+          break; // Only handle the first match
         }
-      }, 300);
+      }
+
+      this.stats.pollTicks++;
+      this.stats.pollTimeMs += performance.now() - start;
+    }
+
+    // Timing counters of this frame — getEngineStats(tabId) in the service
+    // worker console collects them from every frame of a tab
+    getEngineStats() {
+      const round = (ms) => Math.round(ms * 100) / 100;
+      const { startedAt, ...counters } = this.stats;
+      return {
+        url: location.href,
+        ...counters,
+        detectTimeMs: round(counters.detectTimeMs),
+        pollTimeMs: round(counters.pollTimeMs),
+        polling: !!this._pollTimer,
+        uptimeMs: Math.round(performance.now() - startedAt)
+      };
     }
 
     // Get the deeply-nested active element (traversing iframes and shadow DOMs)
@@ -146,20 +357,8 @@
         targets.add(active);
       }
 
-      // Strategy 3: Directly query for known editor elements (Google Sheets/Docs, Office)
-      const knownSelectors = [
-        '#waffle-rich-text-editor',        // Google Sheets cell editor
-        '.cell-input',                      // Google Sheets formula bar
-        '.docs-texteventtarget-iframe',     // Google Docs text event target
-        '[role="textbox"][contenteditable]', // Generic rich text editors
-        '[role="combobox"][contenteditable]',// Google Sheets combobox editor
-        '.notranslate[contenteditable]',    // Many rich text editors
-        '[data-placeholder][contenteditable]', // Slate.js editors
-        '.ql-editor',                       // Quill editors
-        '.ProseMirror',                     // ProseMirror editors  
-        '.tox-edit-area__iframe',           // TinyMCE editors
-        '.cke_editable',                    // CKEditor
-      ];
+      // Strategy 3: Directly query for known editor elements (editor-adapters.js)
+      const knownSelectors = window.ShortcutEditorAdapters ? window.ShortcutEditorAdapters.selectors() : [];
 
       for (const selector of knownSelectors) {
         try {
@@ -199,13 +398,33 @@
         });
       } catch (e) { }
 
+      // Sensitive fields are never polled, whichever strategy found them
+      for (const el of targets) {
+        if (this.isSensitiveField(el)) targets.delete(el);
+      }
+
       return targets;
     }
 
     setupMutationObserver() {
-      // Observe DOM changes for dynamically loaded content (like in Gmail, WhatsApp Web)
-      const observer = new MutationObserver(() => {
-        this.attachToInputs();
+      // Observe DOM changes for dynamically loaded content (like in Gmail, WhatsApp Web).
+      // Sheets and Docs mutate constantly, so only added subtrees are scanned,
+      // batched into one pass at most every 200ms.
+      const added = new Set();
+      const observer = new MutationObserver((mutations) => {
+        mutations.forEach(mutation => mutation.addedNodes.forEach(node => {
+          if (node.nodeType === 1) added.add(node);
+        }));
+        if (!added.size || this._attachTimer) return;
+
+        this._attachTimer = setTimeout(() => {
+          this._attachTimer = null;
+          const roots = Array.from(added);
+          added.clear();
+          roots.forEach(root => {
+            if (root.isConnected) this.attachToInputs(root);
+          });
+        }, 200);
       });
 
       observer.observe(document.body, {
@@ -214,19 +433,21 @@
       });
     }
 
-    attachToInputs() {
+    attachToInputs(root = document) {
       // Broad selector to catch standard inputs, textareas, and all contenteditable variants
-      // Also catches role="textbox" (used by many web apps) and Google Sheets' cell editor
-      const inputs = document.querySelectorAll(
-        'input[type="text"], input:not([type]), textarea, ' +
-        '[contenteditable="true"], [contenteditable="plaintext-only"], [contenteditable=""], ' +
-        '[role="textbox"], [role="combobox"], [role="searchbox"], ' +
-        '.cell-input, .docs-texteventtarget-iframe, ' +
-        '[data-sheets-value], [aria-label*="cell"], ' +
-        '.waffle-cell-editor'
-      );
+      // Also catches role="textbox" (used by many web apps) and the editors
+      // known to editor-adapters.js (Google Sheets' cell editor etc.)
+      const knownSelectors = window.ShortcutEditorAdapters ? window.ShortcutEditorAdapters.selectors() : [];
+      const selector = [
+        'input[type="text"]', 'input:not([type])', 'textarea',
+        '[contenteditable="true"]', '[contenteditable="plaintext-only"]', '[contenteditable=""]',
+        '[role="textbox"]', '[role="combobox"]', '[role="searchbox"]',
+        ...knownSelectors
+      ].join(', ');
+      const inputs = Array.from(root.querySelectorAll(selector));
+      if (root.matches && root.matches(selector)) inputs.push(root);
       inputs.forEach(input => {
-        if (!input.dataset.shortcutListener) {
+        if (!input.dataset.shortcutListener && !this.isSensitiveField(input)) {
           input.addEventListener('input', this.handleInput.bind(this));
           input.addEventListener('keydown', this.handleKeydown.bind(this));
           input.addEventListener('compositionend', this.handleInput.bind(this));
@@ -239,6 +460,7 @@
     handleFocusIn(e) {
       const el = e.target;
       if (!el || el.dataset.shortcutListener) return;
+      if (this.isSensitiveField(el)) return;
 
       // Check if this element is editable
       const isEditable = (
@@ -260,6 +482,22 @@
     }
 
     handleInput(e) {
+      const start = performance.now();
+      try {
+        this.detectTrigger(e);
+      } finally {
+        this.stats.detections++;
+        this.stats.detectTimeMs += performance.now() - start;
+      }
+    }
+
+    // Look for a trigger before the caret of the edited element and offer it
+    detectTrigger(e) {
+      if (!this.siteEnabled) return;
+
+      // Typing inside our own fill-in form is not shortcut input
+      if (this.isOwnElement(e.target)) return;
+
       // Use event target, but fallback to activeElement for apps like Google Sheets
       // where the event target might be a container, not the actual input
       let target = e.target;
@@ -269,248 +507,2411 @@
           target = active;
         }
       }
+      if (this.isSensitiveField(target)) return;
       const value = this.getValue(target);
 
-      // Skip if value hasn't changed — prevents preview flickering from multiple listeners
-      if (value === this._lastHandledValue && this.previewElement) {
+      // Triggers are matched at the caret, so they expand anywhere in the text
+      const textBeforeCaret = this.getTriggerContext(target);
+
+      // Skip if nothing changed — prevents preview flickering from multiple listeners
+      if (textBeforeCaret === this._lastHandledValue && this.previewElement) {
         return;
       }
-      this._lastHandledValue = value;
+      this._lastHandledValue = textBeforeCaret;
 
       // Clear any existing preview
       this.removePreview();
+      this.currentMatch = null;
+
+      // A trigger just restored by undoing its expansion isn't offered again
+      if (this._undoneValue !== undefined) {
+        if (value === this._undoneValue) return;
+        this._undoneValue = undefined;
+      }
 
       // ===== STEP 1: Check for /cal: FIRST (highest priority) =====
-      if (value.includes('/cal:')) {
-        const calMatch = value.match(/\/cal:(.+)$/);
-        if (calMatch) {
-          const expression = calMatch[1];
-          // Only try to calculate if expression has content
-          if (expression.length > 0) {
-            const result = this.calculate(expression);
-            if (result !== null) {
-              // Valid complete expression - show result
-              this.currentMatch = {
-                target,
-                shortcutKey: '/cal',
-                count: 0,
-                position: this.getCaretPosition(target),
-                hasCount: false,
-                fullText: result.toString()
-              };
-              this.showPreview(target, '/cal', 0, expression + ' = ' + result);
-            } else {
-              // Incomplete expression (like "20*") - show typing indicator
-              this.currentMatch = {
-                target,
-                shortcutKey: '/cal',
-                count: 0,
-                position: this.getCaretPosition(target),
-                hasCount: false,
-                fullText: ''
-              };
-              this.showPreview(target, '/cal', 0, '🔢 ' + expression + ' = ...');
-            }
-          }
-          return; // Always stop here for /cal
+      const calMatch = textBeforeCaret.match(this.triggerRegex('cal:(.*)$'));
+      if (calMatch) {
+        // Only try to calculate if expression has content — a bare /cal:
+        // lists recent results instead
+        if (calMatch[1].trim().length > 0) {
+          this.offerCalculation(target, calMatch[1], calMatch[0]);
+        } else if (this.calculatorMemory.history.length > 0 && this.calculatorSettings.historySize > 0) {
+          this.showSuggestions(target, calMatch[0], this.calculatorMemory.history.slice(0, this.calculatorSettings.historySize), '/cal');
+        }
+        return; // Always stop here for /cal
+      }
+
+      // ===== /conv: unit and time zone conversion (e.g. /conv:10 km in mi) =====
+      const convMatch = textBeforeCaret.match(this.triggerRegex('conv:(.+)$'));
+      if (convMatch) {
+        if (convMatch[1].trim().length > 0) {
+          this.offerConversion(target, convMatch[1], convMatch[0]);
+        }
+        return;
+      }
+
+      // ===== /date: date arithmetic (e.g. /date:today+14d) =====
+      const dateMatch = textBeforeCaret.match(this.triggerRegex('date:(.+)$'));
+      if (dateMatch) {
+        if (dateMatch[1].trim().length > 0) {
+          this.offerDate(target, dateMatch[1], dateMatch[0]);
         }
+        return;
+      }
+
+      // ===== Generators: /uuid, /rand:1-100, /pass:20, /seq:invoice =====
+      if (this.offerGenerator(target, textBeforeCaret)) return;
+
+      // ===== STEP 2: /lorem:50, /lorem:p3, /lorem:s5:en, /lorem:c280:hi =====
+      const loremMatch = textBeforeCaret.match(this.triggerRegex('lorem:([pswc]?)(\\d+)(?::([a-z]+))?$'));
+      if (loremMatch) {
+        this.offerLorem(target, loremMatch);
+        return;
       }
 
-      // ===== STEP 2: /shortcut:count (e.g. /lorem:10) =====
-      const matchWithCount = value.match(/\/([a-zA-Z0-9]+):(\d+)$/);
+      // ===== STEP 3: /shortcut:count (e.g. /gm:3) =====
+      const matchWithCount = textBeforeCaret.match(this.triggerRegex('([a-zA-Z0-9]+):(\\d+)$'));
 
-      // ===== STEP 3: /shortcut (e.g. /hello) =====
-      const matchWithoutCount = value.match(/\/([a-zA-Z0-9]+)$/);
+      // ===== STEP 4: /shortcut (e.g. /hello) =====
+      const matchWithoutCount = textBeforeCaret.match(this.triggerRegex('([a-zA-Z0-9]+)$'));
 
+      // Shortcut keys are stored as "/name" whatever prefix is typed,
+      // and match whatever case is typed (see resolveShortcutKey)
       if (matchWithCount) {
-        const shortcutKey = '/' + matchWithCount[1];
+        const shortcutKey = this.resolveShortcutKey(matchWithCount[1]);
         const count = parseInt(matchWithCount[2], 10);
 
-        if (shortcutKey === '/lorem') {
-          // Limit lorem to 1000 words max
-          if (count > 1000) {
-            this.currentMatch = {
-              target,
-              shortcutKey,
-              count,
-              position: this.getCaretPosition(target),
-              hasCount: true,
-              fullText: ''
-            };
-            this.showPreview(target, shortcutKey, count, '<span style="color:#ff4444;font-weight:bold;font-size:14px;">⚠️ Error: Maximum 1000 words allowed!<br>You requested ' + count + ' words.</span>');
-            return;
-          }
-          const loremText = this.generateLoremIpsum(count);
-          this.currentMatch = {
-            target,
-            shortcutKey,
-            count,
-            position: this.getCaretPosition(target),
-            hasCount: true,
-            fullText: loremText
-          };
-          this.showPreview(target, shortcutKey, count, loremText);
-          return;
-        }
-
         if (this.shortcuts[shortcutKey]) {
-          this.currentMatch = {
-            target,
-            shortcutKey,
-            count,
-            position: this.getCaretPosition(target),
-            hasCount: true,
-            fullText: this.generateText(shortcutKey, count)
-          };
-          this.showPreview(target, shortcutKey, count);
+          this.previewShortcut(target, shortcutKey, count, true, matchWithCount[0]);
         }
       }
       else if (matchWithoutCount) {
-        const shortcutKey = '/' + matchWithoutCount[1];
-
-        if (this.shortcuts[shortcutKey]) {
-          this.currentMatch = {
-            target,
-            shortcutKey,
-            count: 0,
-            position: this.getCaretPosition(target),
-            hasCount: false,
-            fullText: this.generateText(shortcutKey, 0)
-          };
-          this.showPreview(target, shortcutKey, 0);
+        const shortcutKey = this.resolveShortcutKey(matchWithoutCount[1]);
+
+        // No dropdown without a prefix (every word would match) or in
+        // instant-expand mode (no previews at all)
+        const { prefix, instantExpand } = this.triggerSettings;
+        const suggestions = prefix && !instantExpand ? this.getSuggestions(matchWithoutCount[1]) : [];
+
+        if (this.shortcuts[shortcutKey] && suggestions.length <= 1) {
+          this.previewShortcut(target, shortcutKey, 0, false, matchWithoutCount[0]);
+        } else if (suggestions.length > 0) {
+          // Partial (or ambiguous) trigger — offer the matching shortcuts
+          this.showSuggestions(target, matchWithoutCount[0], suggestions);
         }
       }
     }
 
-    // Safe Calculator - uses recursive descent parser (no eval/new Function)
-    // CSP blocks eval/new Function in content scripts, so we parse manually
-    calculate(expression) {
-      try {
-        const sanitized = expression.replace(/[^0-9+\-*/%().\s]/g, '').trim();
-        if (!sanitized || sanitized.length === 0) return null;
-        if (!/[0-9]/.test(sanitized)) return null;
-
-        // Tokenize
-        const tokens = sanitized.match(/(\d+\.?\d*|[+\-*/%()])/g);
-        if (!tokens) return null;
-
-        let pos = 0;
-
-        const peek = () => tokens[pos];
-        const consume = () => tokens[pos++];
-
-        // Grammar: expr = term (('+' | '-') term)*
-        const parseExpr = () => {
-          let left = parseTerm();
-          while (peek() === '+' || peek() === '-') {
-            const op = consume();
-            const right = parseTerm();
-            left = op === '+' ? left + right : left - right;
-          }
-          return left;
-        };
+    // ===== CASE-ADAPTIVE TRIGGERS =====
+    // Stored key for a typed trigger name: exact match first, then ignoring
+    // case ("Thanks"/"THANKS" -> "/thanks"). Built-ins are lower case.
+    resolveShortcutKey(name) {
+      const exact = '/' + name;
+      if (this.shortcuts[exact]) return exact;
 
-        // term = factor (('*' | '/' | '%') factor)*
-        const parseTerm = () => {
-          let left = parseFactor();
-          while (peek() === '*' || peek() === '/' || peek() === '%') {
-            const op = consume();
-            const right = parseFactor();
-            if (op === '*') left = left * right;
-            else if (op === '/') left = right !== 0 ? left / right : Infinity;
-            else left = left % right;
-          }
-          return left;
-        };
+      const lower = exact.toLowerCase();
+      return Object.keys(this.shortcuts).find(key => key.toLowerCase() === lower) || lower;
+    }
 
-        // factor = number | '(' expr ')' | '-' factor
-        const parseFactor = () => {
-          if (peek() === '(') {
-            consume(); // '('
-            const val = parseExpr();
-            if (peek() === ')') consume(); // ')'
-            return val;
-          }
-          if (peek() === '-') {
-            consume();
-            return -parseFactor();
-          }
-          const token = consume();
-          if (token === undefined) return NaN;
-          return parseFloat(token);
-        };
+    // How the typed trigger's case differs from the stored key: 'upper' for
+    // "/THANKS", 'capitalize' for "/Thanks", null when typed as stored
+    getCaseMode(trigger, shortcutKey) {
+      const typed = (trigger || '').match(/[a-zA-Z0-9]+/);
+      if (!typed || typed[0] === shortcutKey.slice(1)) return null;
 
-        const result = parseExpr();
+      const letters = typed[0].replace(/[^a-zA-Z]/g, '');
+      if (letters.length > 1 && letters === letters.toUpperCase()) return 'upper';
+      if (/^[A-Z]/.test(letters) && !/^[A-Z]/.test(shortcutKey.slice(1))) return 'capitalize';
+      return null;
+    }
 
-        // Check we consumed all tokens
-        if (pos !== tokens.length) return null;
+    // Change the case of the finished text (fields and choices filled in).
+    // {url} and {clipboard} values (marked by resolvePlaceholders), leftover
+    // {tokens}, HTML tags and Markdown link targets keep theirs.
+    applyCase(text, mode) {
+      if (!text) return text;
+      if (!mode) return this.unmarkVerbatim(text);
+
+      const protectedPattern = /\uE000[^\uE001]*\uE001|\{\{[^{}]*\}\}|\{[^{}]*\}|<[^>]*>|\]\([^)]*\)/g;
+      const parts = [];
+      let last = 0;
+      text.replace(protectedPattern, (token, offset) => {
+        parts.push({ text: text.slice(last, offset), plain: true }, { text: token, plain: false });
+        last = offset + token.length;
+        return token;
+      });
+      parts.push({ text: text.slice(last), plain: true });
 
-        if (result === undefined || result === null) return null;
-        if (!isFinite(result) || isNaN(result)) return 'Error';
+      if (mode === 'upper') {
+        return this.unmarkVerbatim(parts.map(part => part.plain ? part.text.toUpperCase() : part.text).join(''));
+      }
 
-        if (Number.isInteger(result)) {
-          return result;
-        } else {
-          return parseFloat(result.toFixed(4));
-        }
-      } catch (e) {
-        return null;
+      // capitalize: just the first letter of the visible text
+      let done = false;
+      return this.unmarkVerbatim(parts.map(part => {
+        if (done || !part.plain) return part.text;
+        return part.text.replace(/\p{L}/u, (letter) => {
+          done = true;
+          return letter.toUpperCase();
+        });
+      }).join(''));
+    }
+
+    unmarkVerbatim(text) {
+      return text.replace(/[\uE000\uE001]/g, '');
+    }
+
+    // RegExp for "<prefix><body>" using the configured trigger prefix. With no
+    // prefix, triggers must start a word so "othello" doesn't fire "hello".
+    // Every trigger matches whatever case it is typed in (/CAL:, /Uuid,
+    // /LOREM:5); what follows the command name keeps its case
+    triggerRegex(body) {
+      const prefix = this.triggerSettings.prefix;
+      const escaped = prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp((prefix ? escaped : '(?<![a-zA-Z0-9])') + body, 'i');
+    }
+
+    // Show a ready-to-insert match. In instant-expand mode nothing is shown —
+    // the next accept key inserts it straight away.
+    offerMatch(match, previewHtml) {
+      this.currentMatch = match;
+      if (!this.triggerSettings.instantExpand) {
+        this.showPreview(match.target, match.shortcutKey, match.count, previewHtml);
       }
     }
 
-    // Generate Lorem Ipsum words
-    generateLoremIpsum(count) {
-      if (count <= 0) return '';
-      // Hard safety cap — never generate more than 1000 words
-      if (count > 1000) count = 1000;
+    // Error and still-incomplete previews have nothing to insert — accept
+    // keys keep their usual meaning there
+    canInsert(match) {
+      return !!(match.fullText || match.suggestions || match.fields || match.choices || this.shortcuts[match.shortcutKey]);
+    }
 
-      const loremBase = "Lorem ipsum dolor sit amet, consectetur adipiscing elit. Sed do eiusmod tempor incididunt ut labore et dolore magna aliqua. Ut enim ad minim veniam, quis nostrud exercitation ullamco laboris nisi ut aliquip ex ea commodo consequat. Duis aute irure dolor in reprehenderit in voluptate velit esse cillum dolore eu fugiat nulla pariatur. Excepteur sint occaecat cupidatat non proident, sunt in culpa qui officia deserunt mollit anim id est laborum.";
+    // Which accept key (if any) this keydown is, as the text it adds after the
+    // expansion: '' for Tab/Enter, ' ' for Space, the character for punctuation
+    getAcceptSuffix(e) {
+      const acceptKeys = this.triggerSettings.acceptKeys;
+      if (e.ctrlKey || e.metaKey || e.altKey) return null;
+      if (e.key === 'Tab' && acceptKeys.includes('Tab')) return '';
+      if (e.key === 'Enter' && !e.shiftKey && acceptKeys.includes('Enter')) return '';
+      if (e.key === ' ' && acceptKeys.includes('Space')) return ' ';
+      if (/^[.,!?;)]$/.test(e.key) && acceptKeys.includes('Punctuation')) return e.key;
+      return null;
+    }
+
+    // Space/punctuation are ordinary characters in a /cal, /conv or /date
+    // expression, a half-typed trigger or a form that still needs filling in
+    takesDelimiter(match) {
+      return !['/cal', '/conv', '/date'].includes(match.shortcutKey) && !match.suggestions && !match.fields;
+    }
+
+    // The configured accept keys that insert this match; null when nothing
+    // can be inserted (errors, incomplete input)
+    acceptingKeys(match) {
+      if (!match || !this.canInsert(match)) return null;
+      return this.triggerSettings.acceptKeys
+        .filter(key => key === 'Tab' || key === 'Enter' || this.takesDelimiter(match));
+    }
+
+    // Accept keys as <kbd> hints for the preview overlays ('' when only
+    // clicking accepts)
+    acceptKeyHint(keys, kbd = '<kbd>') {
+      const names = { Tab: 'Tab', Enter: 'Enter', Space: 'Space', Punctuation: '.,!?' };
+      return (keys || [])
+        .filter(key => names[key])
+        .map(key => kbd + names[key] + '</kbd>')
+        .join('/');
+    }
 
-      const words = loremBase.split(/\s+/);
+    // A stored "/name" key as the user types it, with the configured prefix
+    displayKey(key) {
+      return this.triggerSettings.prefix + key.slice(1);
+    }
 
-      let result = [];
-      while (result.length < count) {
-        result = result.concat(words);
+    // Set currentMatch for a user shortcut and show its resolved text.
+    // `trigger` is the text actually typed when it differs from the key
+    // (e.g. "/he" accepted from the autocomplete list as "/hello").
+    previewShortcut(target, shortcutKey, count, hasCount, trigger = null) {
+      const caseMode = this.getCaseMode(trigger, shortcutKey);
+      const match = {
+        target,
+        shortcutKey,
+        count,
+        position: this.getCaretPosition(target),
+        hasCount,
+        trigger,
+        caseMode,
+        format: this.shortcuts[shortcutKey].format || 'text',
+        fullText: this.generateText(shortcutKey, count, target, caseMode)
+      };
+      this.renderShortcutMatch(target, match);
+
+      // Clipboard can only be read asynchronously — refresh it, then
+      // re-render if the same match is still on screen
+      if (/\{clipboard\}/.test(this.expandIncludes(this.shortcuts[shortcutKey].text, [shortcutKey]))) {
+        this.refreshClipboard().then(() => {
+          if (this.currentMatch !== match) return;
+          match.fullText = this.generateText(shortcutKey, count, target, caseMode);
+          this.renderShortcutMatch(target, match);
+        });
       }
+    }
+
+    // ===== AUTOCOMPLETE =====
+    // Shortcuts matching a partial trigger name (without the prefix), best
+    // first: exact, prefix (shorter keys first), substring, then fuzzy
+    getSuggestions(partial, limit = 8) {
+      const query = partial.toLowerCase();
+      if (!query) return [];
+
+      const fuzzy = new RegExp(query.split('').map(ch => ch.replace(/[^a-z0-9]/g, '')).join('.*'));
+      const scored = [];
+
+      Object.keys(this.shortcuts).forEach(key => {
+        const name = key.toLowerCase().slice(1);
+        let score;
+        if (name === query) score = 0;
+        else if (name.startsWith(query)) score = 1;
+        else if (name.includes(query)) score = 2;
+        else if (fuzzy.test(name)) score = 3;
+        else return;
+        scored.push({ key, score });
+      });
 
-      return result.slice(0, count).join(' ');
+      scored.sort((a, b) => a.score - b.score || a.key.length - b.key.length || a.key.localeCompare(b.key));
+      return scored.slice(0, limit).map(item => item.key);
     }
 
-    // Generate full text with emojis
-    generateText(shortcutKey, count) {
-      const shortcut = this.shortcuts[shortcutKey];
-      if (!shortcut) return '';
+    // Dropdown of suggestions inside the shadow DOM host. Focus stays in the
+    // page input: ↑/↓ move the highlight, Tab/Enter/click accept.
+    // With shortcutKey '/cal' the items are calculator history entries.
+    showSuggestions(target, trigger, suggestions, shortcutKey = null) {
+      this.removePreview();
+      this.ensureShadowDom();
+      if (!this.shadowRoot) return;
+      this.addImprovedStyles();
 
-      let finalText = shortcut.text;
+      const items = suggestions.map(key => {
+        if (shortcutKey === '/cal') {
+          return { key: this.formatCalcResult(key.result, key.base), text: key.expression };
+        }
+        const shortcut = this.shortcuts[key];
+        return {
+          key: this.displayKey(key),
+          text: this.richToPlainText(shortcut.text, shortcut.format).replace(/\s+/g, ' ').slice(0, 80)
+        };
+      });
+      const list = this.buildSuggestionList(items, this.acceptingKeys({ shortcutKey, suggestions }));
+      list.querySelectorAll('.suggestion-item').forEach((item, index) => {
+        item.addEventListener('click', () => this.acceptSuggestion(index));
+      });
 
-      // Only add emojis if count > 0 AND shortcut has emojis
-      if (shortcut.emojis && count > 0) {
-        const randomEmojis = this.getRandomEmojis(shortcut.emojis, count);
-        if (randomEmojis) {
-          finalText += ' ' + randomEmojis;
+      this.previewElement = list;
+      this.shadowRoot.appendChild(list);
+      this.positionAboveInput(target);
+
+      this.currentMatch = {
+        target,
+        shortcutKey,
+        count: 0,
+        position: this.getCaretPosition(target),
+        hasCount: false,
+        trigger,
+        suggestions,
+        activeSuggestion: 0,
+        fullText: ''
+      };
+      this.moveSuggestion(0);
+    }
+
+    // The dropdown itself, from { key, text } items (text only, never HTML)
+    buildSuggestionList(items, acceptKeys) {
+      const list = document.createElement('div');
+      list.className = 'shortcut-preview suggestions';
+
+      // Keep focus (and the caret) in the page input while clicking
+      list.addEventListener('mousedown', (e) => e.preventDefault());
+
+      items.forEach(({ key, text }) => {
+        const item = document.createElement('div');
+        item.className = 'suggestion-item';
+
+        const keyEl = document.createElement('span');
+        keyEl.className = 'suggestion-key';
+        keyEl.textContent = key;
+        const textEl = document.createElement('span');
+        textEl.className = 'suggestion-text';
+        textEl.textContent = text;
+
+        item.appendChild(keyEl);
+        item.appendChild(textEl);
+        list.appendChild(item);
+      });
+
+      const hint = document.createElement('div');
+      hint.className = 'preview-hint suggestion-hint';
+      const acceptHint = this.acceptKeyHint(acceptKeys);
+      hint.innerHTML = '<kbd>↑</kbd><kbd>↓</kbd> navigate · ' + (acceptHint ? acceptHint + ' insert' : 'click to insert');
+      list.appendChild(hint);
+      return list;
+    }
+
+    moveSuggestion(step) {
+      const match = this.currentMatch;
+      const count = match.suggestions.length;
+      match.activeSuggestion = (match.activeSuggestion + step + count) % count;
+
+      this.previewElement.querySelectorAll('.suggestion-item').forEach((item, index) => {
+        item.classList.toggle('active', index === match.activeSuggestion);
+        if (index === match.activeSuggestion) item.scrollIntoView({ block: 'nearest' });
+      });
+
+      this.mirrorPreviewToTop(match.target);
+    }
+
+    // Swap the dropdown for the chosen shortcut. Plain snippets are inserted
+    // right away; templates open their fields/choices overlay.
+    acceptSuggestion(index = this.currentMatch.activeSuggestion) {
+      const { target, trigger, suggestions } = this.currentMatch;
+
+      // A calculator history entry is inserted as its result
+      if (this.currentMatch.shortcutKey === '/cal') {
+        const { expression, result, base = null } = suggestions[index];
+        Object.assign(this.currentMatch, {
+          suggestions: null,
+          fullText: this.formatCalcResult(result, base),
+          calc: { expression, result, assign: null, base }
+        });
+        this.replaceShortcut();
+        return;
+      }
+
+      const shortcutKey = suggestions[index];
+
+      this.removePreview();
+      this.previewShortcut(target, shortcutKey, 0, false, trigger);
+
+      if (!this.currentMatch) return;
+      if (this.currentMatch.fields) {
+        this.focusTemplateForm();
+      } else if (!this.currentMatch.choices) {
+        this.replaceShortcut();
+      }
+    }
+
+    // Show a match as plain preview, or as a form when it has fields/choices
+    renderShortcutMatch(target, match) {
+      const fields = this.parseFields(match.fullText);
+      const choices = this.parseChoices(match.fullText);
+      match.fields = fields.length > 0 ? fields : null;
+      match.choices = choices.length > 0 ? choices : null;
+
+      if ((match.fields || match.choices) && this.showTemplateForm(target, match)) {
+        this.currentMatch = match;
+        return;
+      }
+
+      // No shadow DOM available — insert field defaults and first choices
+      if (match.fields || match.choices) {
+        match.fullText = this.fillChoices(this.fillFields(match.fullText, {}), null);
+        match.fields = null;
+        match.choices = null;
+      }
+      match.fullText = this.applyCase(match.fullText, match.caseMode);
+      this.offerMatch(match, this.getPreviewHtml(match.fullText, match.format));
+    }
+
+    // Preview a /cal: expression — its result, a typing indicator while the
+    // expression is still incomplete (like "20*"), or why it can't be calculated
+    offerCalculation(target, expression, trigger) {
+      let result = null;
+      let error = null;
+      // "rate = 0.18" stores a variable once the result is inserted
+      const assignment = expression.match(/^\s*([a-z_][a-z0-9_]*)\s*=\s*(.*)$/i);
+      const assign = assignment ? assignment[1].toLowerCase() : null;
+      let body = assignment ? assignment[2] : expression;
+
+      // "255 to hex" — the base the result is shown in
+      const bases = { hex: 16, bin: 2, oct: 8, dec: 10 };
+      const baseMatch = body.match(/^(.+?)\s+(?:to|in|as)(?:\s+([a-z]*))?\s*$/i);
+      const baseName = baseMatch ? (baseMatch[2] || '').toLowerCase() : null;
+      const base = baseName && Object.hasOwn(bases, baseName) ? bases[baseName] : null;
+
+      try {
+        const { functions, constants } = this.calculatorNames();
+        if (assign && (Object.hasOwn(functions, assign) || Object.hasOwn(constants, assign) || assign === 'ans')) {
+          throw new Error(`"${assign}" is a built-in name`);
+        }
+        if (baseMatch && !base) {
+          // Still typing "to he…" — otherwise a base we don't know
+          if (Object.keys(bases).some(name => name.startsWith(baseName))) {
+            body = '';
+          } else {
+            throw new Error(`Unknown base "${baseMatch[2]}" — use hex, bin, oct or dec`);
+          }
+        } else if (base) {
+          body = baseMatch[1];
+        }
+
+        result = body.trim() ? this.calculate(body, this.calculatorVariables()) : null;
+        if (result !== null && base && base !== 10 && !Number.isInteger(result)) {
+          throw new Error(`Only whole numbers can be shown in ${baseName}`);
+        }
+        if (result !== null && base && base !== 10 && !Number.isSafeInteger(result)) {
+          throw new Error(`Result is too large to show exactly in ${baseName} (limit 2^53)`);
         }
+      } catch (err) {
+        error = err.message;
+        result = null;
       }
 
-      return finalText;
+      this.removePreview();
+      const match = {
+        target,
+        shortcutKey: '/cal',
+        count: 0,
+        position: this.getCaretPosition(target),
+        hasCount: false,
+        trigger,
+        fullText: result !== null ? this.formatCalcResult(result, base) : '',
+        calc: result !== null ? { expression: expression.trim(), result, assign, base } : null
+      };
+
+      const shown = this.escapeHtml(expression.trim());
+      if (error) {
+        this.offerMatch(match, '🔢 ' + shown + '<br><span style="color:#ff4444;font-weight:bold;font-size:14px;">⚠️ ' + this.escapeHtml(error) + '</span>');
+      } else if (assign && result !== null) {
+        this.offerMatch(match, '💾 ' + this.escapeHtml(assign) + ' = ' + this.escapeHtml(match.fullText));
+      } else if (result !== null) {
+        this.offerMatch(match, shown + ' = ' + this.escapeHtml(match.fullText));
+      } else {
+        this.offerMatch(match, '🔢 ' + shown + ' = ...');
+      }
     }
 
-    handleKeydown(e) {
-      // Hide preview on Escape
-      if (e.key === 'Escape') {
-        this.removePreview();
+    // `ans` and stored variables, as calculate() reads them
+    calculatorVariables() {
+      const { ans, variables } = this.calculatorMemory;
+      return ans === null ? { ...variables } : { ...variables, ans };
+    }
+
+    // Inserting a /cal result makes it `ans`, stores an assigned variable and
+    // puts it on top of the history
+    // Other tabs write calculatorMemory too, so the change is merged into a
+    // fresh read instead of overwriting it with this tab's copy
+    async rememberCalculation({ expression, result, assign, base }) {
+      const update = (memory) => ({
+        ...memory,
+        ans: result,
+        variables: assign ? { ...memory.variables, [assign]: result } : memory.variables,
+        history: [{ expression, result, base }, ...memory.history.filter(item =>
+          item.expression !== expression || item.result !== result || (item.base || null) !== (base || null))]
+          .slice(0, Math.max(this.calculatorSettings.historySize, 0))
+      });
+
+      // Right away for this tab — the next /cal may come before storage answers
+      this.calculatorMemory = update(this.calculatorMemory);
+      try {
+        const stored = await chrome.storage.local.get('calculatorMemory');
+        const memory = update({ ans: null, variables: {}, history: [], ...stored.calculatorMemory });
+        this.calculatorMemory = memory;
+        await chrome.storage.local.set({ calculatorMemory: memory });
+      } catch (e) {
+        console.error('Failed to save calculator memory:', e);
+      }
+    }
+
+    // Built-in functions and constants. Trig functions work in radians; log is
+    // base 10 unless a base is given.
+    calculatorNames() {
+      const functions = {
+        sqrt: { args: [1, 1], fn: Math.sqrt },
+        abs: { args: [1, 1], fn: Math.abs },
+        round: { args: [1, 2], fn: (x, digits = 0) => Math.round(x * 10 ** digits) / 10 ** digits },
+        floor: { args: [1, 1], fn: Math.floor },
+        ceil: { args: [1, 1], fn: Math.ceil },
+        min: { args: [1, Infinity], fn: Math.min },
+        max: { args: [1, Infinity], fn: Math.max },
+        log: { args: [1, 2], fn: (x, base) => base === undefined ? Math.log10(x) : Math.log(x) / Math.log(base) },
+        ln: { args: [1, 1], fn: Math.log },
+        sin: { args: [1, 1], fn: Math.sin },
+        cos: { args: [1, 1], fn: Math.cos },
+        tan: { args: [1, 1], fn: Math.tan }
+      };
+      const constants = { pi: Math.PI, e: Math.E };
+      return { functions, constants };
+    }
+
+    // Safe Calculator - uses recursive descent parser (no eval/new Function)
+    // CSP blocks eval/new Function in content scripts, so we parse manually.
+    // Returns the result, null while the expression is incomplete, and throws
+    // an Error with a readable message when it can't be calculated.
+    //
+    // ** is the power; ^ is bitwise XOR, like & | ~ << >>.
+    calculate(expression, variables = {}) {
+      const { functions, constants } = this.calculatorNames();
+      const names = [...Object.keys(functions), ...Object.keys(constants), ...Object.keys(variables), 'ans'];
+
+      // Thrown when the input ends where more is expected — still being typed
+      const INCOMPLETE = {};
+
+      // Whole numbers used bitwise must be exact as JavaScript numbers
+      const exactInteger = (value, shown = null) => {
+        if (typeof value === 'bigint' ? value > BigInt(Number.MAX_SAFE_INTEGER) || value < BigInt(Number.MIN_SAFE_INTEGER)
+          : !Number.isSafeInteger(value)) {
+          throw new Error(`${shown || 'Value'} is too large for exact whole-number math (limit 2^53)`);
+        }
+        return Number(value);
+      };
+
+      // Tokenize: numbers (incl. 1.5e3 and 0xff, 0b1010, 0o17), names, operators
+      const tokens = [];
+      const tokenRe = /\s*(?:(0x[0-9a-f]+|0b[01]+|0o[0-7]+)|(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z_][a-z0-9_]*)|(\*\*|\/\/|<<|>>|[+\-*/%^&|~(),]))/iy;
+      let index = 0;
+      while (index < expression.length) {
+        // A prefix or exponent still waiting for its digits: "0b", "1e", "2.5e-"
+        if (/^(?:0[xbo]|(?:\d+\.?\d*|\.\d+)e[+-]?)$/i.test(expression.slice(index).trim())) return null;
+
+        tokenRe.lastIndex = index;
+        const m = tokenRe.exec(expression);
+        if (!m) {
+          const rest = expression.slice(index).trim();
+          if (!rest) break;
+          throw new Error(`Unexpected "${rest[0]}"`);
+        }
+        if (m[1] !== undefined) {
+          tokens.push({ type: 'number', value: exactInteger(BigInt(m[1].toLowerCase()), m[1]) });
+        } else if (m[2] !== undefined) {
+          tokens.push({ type: 'number', value: parseFloat(m[2]) });
+        } else if (m[3] !== undefined) {
+          tokens.push({ type: 'name', value: m[3].toLowerCase() });
+        } else {
+          tokens.push({ type: 'op', value: m[4] });
+        }
+        index = tokenRe.lastIndex;
+      }
+      if (tokens.length === 0) return null;
+
+      // Bitwise operators work on whole numbers, through BigInt so values
+      // above 32 bits stay exact. Results are plain numbers, so anything past
+      // 2^53 (where they stop being exact) is refused rather than rounded.
+      const bitwise = (a, b, op) => {
+        if (!Number.isInteger(a) || !Number.isInteger(b)) {
+          throw new Error('Bitwise operators need whole numbers');
+        }
+        if ((op === '<<' || op === '>>') && (b < 0 || b > 1023)) {
+          throw new Error('Shift amount must be between 0 and 1023');
+        }
+        const x = BigInt(exactInteger(a));
+        const y = BigInt(exactInteger(b));
+        const results = { '&': () => x & y, '|': () => x | y, '^': () => x ^ y, '<<': () => x << y, '>>': () => x >> y };
+        return exactInteger(results[op](), 'Result');
+      };
+
+      let pos = 0;
+
+      const peek = () => tokens[pos];
+      const isOp = (value) => peek() && peek().type === 'op' && peek().value === value;
+      const consume = () => {
+        if (pos >= tokens.length) throw INCOMPLETE;
+        return tokens[pos++];
+      };
+
+      // A term that is just a percentage ("18%") is taken of what it's added
+      // to or subtracted from: 1200+18% = 1416, while 1200*18% = 216
+      let lastFactorPercent = false;
+      let lastTermPercent = false;
+
+      // Grammar (loosest first, as in C):
+      // expr = xor ('|' xor)*, xor = and ('^' and)*, and = shift ('&' shift)*,
+      // shift = sum (('<<' | '>>') sum)*
+      const parseExpr = () => {
+        let left = parseXor();
+        while (isOp('|')) {
+          consume();
+          left = bitwise(left, parseXor(), '|');
+        }
+        return left;
+      };
+
+      const parseXor = () => {
+        let left = parseAnd();
+        while (isOp('^')) {
+          consume();
+          left = bitwise(left, parseAnd(), '^');
+        }
+        return left;
+      };
+
+      const parseAnd = () => {
+        let left = parseShift();
+        while (isOp('&')) {
+          consume();
+          left = bitwise(left, parseShift(), '&');
+        }
+        return left;
+      };
+
+      const parseShift = () => {
+        let left = parseSum();
+        while (isOp('<<') || isOp('>>')) {
+          const op = consume().value;
+          left = bitwise(left, parseSum(), op);
+        }
+        return left;
+      };
+
+      // sum = term (('+' | '-') term)*
+      const parseSum = () => {
+        let left = parseTerm();
+        while (isOp('+') || isOp('-')) {
+          const op = consume().value;
+          let right = parseTerm();
+          if (lastTermPercent) right = left * right;
+          left = op === '+' ? left + right : left - right;
+        }
+        return left;
+      };
+
+      // term = unary (('*' | '/' | '//' | '%') unary | implicit '*' before '(' or a name)*
+      // '//' is integer division, truncating like C
+      const parseTerm = () => {
+        let left = parseUnary();
+        let percentOnly = lastFactorPercent;
+        for (;;) {
+          if (isOp('*') || isOp('/') || isOp('//') || isOp('%')) {
+            percentOnly = false;
+            const op = consume().value;
+            const right = parseUnary();
+            if (op !== '*' && right === 0) throw new Error('Division by zero');
+            if (op === '*') left = left * right;
+            else if (op === '/') left = left / right;
+            else if (op === '//') left = Math.trunc(left / right);
+            else left = left % right;
+          } else if (isOp('(') || (peek() && peek().type === 'name')) {
+            percentOnly = false;
+            left = left * parseUnary(); // 2pi, 3(4+1)
+          } else {
+            lastTermPercent = percentOnly;
+            return left;
+          }
+        }
+      };
+
+      // unary = ('-' | '+' | '~') unary | percent
+      const parseUnary = () => {
+        if (isOp('-')) {
+          consume();
+          return -parseUnary();
+        }
+        if (isOp('~')) {
+          consume();
+          const value = parseUnary();
+          if (!Number.isInteger(value)) throw new Error('Bitwise operators need whole numbers');
+          return exactInteger(~BigInt(exactInteger(value)), 'Result');
+        }
+        if (isOp('+')) {
+          consume();
+          return parseUnary();
+        }
+        return parsePercent();
+      };
+
+      // percent = power '%'? — a '%' with no operand after it is a percentage,
+      // otherwise it's the remainder operator (10%3)
+      const parsePercent = () => {
+        const value = parsePower();
+        const next = tokens[pos + 1];
+        if (isOp('%') && (!next || (next.type === 'op' && next.value !== '('))) {
+          consume();
+          lastFactorPercent = true;
+          return value / 100;
+        }
+        lastFactorPercent = false;
+        return value;
+      };
+
+      // power = primary ('**' unary)? — right-associative, and -2**2 = -4
+      const parsePower = () => {
+        const base = parsePrimary();
+        if (isOp('**')) {
+          consume();
+          return base ** parseUnary();
+        }
+        return base;
+      };
+
+      // primary = number | constant | function '(' args ')' | '(' expr ')'
+      const parsePrimary = () => {
+        const token = consume();
+
+        if (token.type === 'number') return token.value;
+
+        if (token.type === 'op' && token.value === '(') {
+          const val = parseExpr();
+          if (isOp(')')) consume(); // a missing ')' at the end is fine
+          return val;
+        }
+
+        if (token.type === 'name') {
+          const name = token.value;
+          // Own names only — "constructor" or "__proto__" are unknown names
+          if (Object.hasOwn(constants, name)) return constants[name];
+          if (Object.hasOwn(variables, name)) return variables[name];
+          if (name === 'ans') throw new Error('No previous result for "ans" yet');
+
+          const func = Object.hasOwn(functions, name) ? functions[name] : null;
+          if (!func) {
+            // Still typing a name, like "sq" on the way to "sqrt"
+            if (pos === tokens.length && names.some(known => known.startsWith(name))) throw INCOMPLETE;
+            throw new Error(`Unknown name "${name}"`);
+          }
+          if (!isOp('(')) {
+            if (pos === tokens.length) throw INCOMPLETE;
+            throw new Error(`${name} needs parentheses, e.g. ${name}(2)`);
+          }
+          consume(); // '('
+
+          const args = isOp(')') ? [] : [parseExpr()];
+          while (args.length && isOp(',')) {
+            consume();
+            args.push(parseExpr());
+          }
+          if (isOp(')')) consume();
+          else if (pos < tokens.length) throw new Error(`Expected ")" after ${name}(…`);
+
+          const [minArgs, maxArgs] = func.args;
+          if (args.length < minArgs || args.length > maxArgs) {
+            const expected = minArgs === maxArgs ? minArgs : maxArgs === Infinity ? `at least ${minArgs}` : `${minArgs}–${maxArgs}`;
+            const plural = minArgs === 1 && (maxArgs === 1 || maxArgs === Infinity) ? '' : 's';
+            throw new Error(`${name}() takes ${expected} argument${plural}`);
+          }
+          return func.fn(...args);
+        }
+
+        throw new Error(token.value === ')' ? 'Unmatched ")"' : `Unexpected "${token.value}"`);
+      };
+
+      let result;
+      try {
+        result = parseExpr();
+      } catch (err) {
+        if (err === INCOMPLETE) return null;
+        throw err;
+      }
+
+      // Check we consumed all tokens
+      if (pos !== tokens.length) {
+        const token = peek();
+        throw new Error(token.value === ')' ? 'Unmatched ")"' : `Unexpected "${token.value}"`);
+      }
+
+      if (isNaN(result)) throw new Error('Result is not a real number');
+      if (!isFinite(result)) throw new Error('Result is too large');
+
+      // Rounding happens in formatCalcResult
+      return result;
+    }
+
+    // A result as previewed and inserted: decimal places, digit grouping
+    // (en-IN gives lakh/crore), locale separators and currency from settings.
+    // Hex/binary/octal results are shown as 0xFF, 0b1010, 0o17.
+    formatCalcResult(value, base = null) {
+      const prefixes = { 16: '0x', 2: '0b', 8: '0o' };
+      if (prefixes[base] && Number.isInteger(value)) {
+        return (value < 0 ? '-' : '') + prefixes[base] + BigInt(Math.abs(value)).toString(base).toUpperCase();
+      }
+
+      const { precision, locale, grouping, currency } = this.calculatorSettings;
+      const options = { useGrouping: grouping, maximumFractionDigits: precision };
+
+      // Float noise like sin(pi) = 1.2e-16 is 0, not "-0"
+      if (Math.abs(value) < 1e-15) value = 0;
+
+      try {
+        if (currency) {
+          options.style = 'currency';
+          options.currency = currency;
+          // No more decimals than the currency has (JPY 0, USD 2)
+          const digits = new Intl.NumberFormat('en-US', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+          options.minimumFractionDigits = options.maximumFractionDigits = Math.min(precision, digits);
+        } else if (value !== 0 && Math.abs(value) < 0.5 * 10 ** -precision) {
+          // Keep small results (0.00002) readable instead of rounding them to 0
+          delete options.maximumFractionDigits;
+          options.maximumSignificantDigits = 4;
+        }
+        return new Intl.NumberFormat(locale || undefined, options).format(value);
+      } catch (e) {
+        return String(value); // Bad locale or currency code in storage
+      }
+    }
+
+    // ===== UNIT & TIME ZONE CONVERSION =====
+    // /conv:10 km in mi, /conv:72F in C, /conv:3pm IST in PST — all offline;
+    // time zones come from the browser's own Intl data
+    offerConversion(target, query, trigger) {
+      let result = null;
+      let error = null;
+      try {
+        result = this.convert(query);
+      } catch (err) {
+        error = err.message;
+      }
+
+      this.removePreview();
+      const match = {
+        target,
+        shortcutKey: '/conv',
+        count: 0,
+        position: this.getCaretPosition(target),
+        hasCount: false,
+        trigger,
+        fullText: result ? result.text : ''
+      };
+
+      const shown = this.escapeHtml(query.trim());
+      if (error) {
+        this.offerMatch(match, '🔁 ' + shown + '<br><span style="color:#ff4444;font-weight:bold;font-size:14px;">⚠️ ' + this.escapeHtml(error) + '</span>');
+      } else if (result) {
+        this.offerMatch(match, this.escapeHtml(result.from) + ' = ' + this.escapeHtml(result.text));
+      } else {
+        this.offerMatch(match, '🔁 ' + shown + ' → ...');
+      }
+    }
+
+    // Returns { from, text }, null while the query is still being typed, and
+    // throws an Error with a readable message when it can't be converted
+    convert(query) {
+      // The target is one word, so "10 in in cm" splits on the last "in"
+      const parts = query.trim().match(/^(.+)\s+(?:in|to|into)\s+(\S+)$/i);
+      if (!parts) return null;
+
+      // "3pm IST in PST", "15:30 in UTC+5:30", "now in Asia/Tokyo"
+      const timeMatch = parts[1].match(/^(now|\d{1,2}(?::\d{2})?\s*(?:am|pm)?)\s*(.*)$/i);
+      if (timeMatch) {
+        const fromZone = timeMatch[2] ? this.resolveTimeZone(timeMatch[2]) : { label: '', offset: null };
+        const toZone = this.resolveTimeZone(parts[2]);
+        const isClockTime = /now|:|am|pm/i.test(timeMatch[1]);
+        if (fromZone && toZone) return this.convertTime(timeMatch[1], fromZone, toZone);
+        if (isClockTime && !toZone && fromZone) {
+          if (this.isPartialName(parts[2], Object.keys(this.timeZoneAbbreviations()))) return null;
+          throw new Error(`Unknown time zone "${parts[2]}"`);
+        }
+        if (isClockTime) throw new Error(`Unknown time zone "${timeMatch[2]}"`);
+      }
+
+      // "10 km in mi", "72F in C", "10 in in cm"
+      const amountMatch = parts[1].match(/^(-?\d*\.?\d+(?:e[+-]?\d+)?)\s*(\S+)$/i);
+      if (!amountMatch) throw new Error('Expected an amount and a unit, e.g. 10 km in mi');
+
+      const amount = parseFloat(amountMatch[1]);
+      const from = this.resolveUnit(amountMatch[2]);
+      const to = this.resolveUnit(parts[2]);
+      if (!from) throw new Error(`Unknown unit "${amountMatch[2]}"`);
+      if (!to) {
+        if (this.isPartialName(parts[2], Object.keys(this.conversionUnits()))) return null;
+        throw new Error(`Unknown unit "${parts[2]}"`);
+      }
+      if (from.dimension !== to.dimension) {
+        throw new Error(`Can't convert ${from.dimension} to ${to.dimension}`);
+      }
+
+      // Through the base unit of the dimension: base = value * factor + offset
+      const base = amount * from.factor + from.offset;
+      const value = (base - to.offset) / to.factor;
+      const format = (n) => String(parseFloat(n.toPrecision(6)));
+
+      return {
+        from: `${format(amount)} ${from.label}`,
+        text: `${format(value)} ${to.label}`
+      };
+    }
+
+    // Still typing a unit or zone name, like "mil" on the way to "miles"
+    isPartialName(name, known) {
+      const lower = name.trim().toLowerCase();
+      return lower.length > 0 && known.some(item => item.toLowerCase().startsWith(lower));
+    }
+
+    // Unit aliases → { dimension, factor, offset, label }. Each dimension has a
+    // base unit (m, kg, K, L, B, s); the first alias in a group is its label.
+    conversionUnits() {
+      if (this._conversionUnits) return this._conversionUnits;
+
+      const dimensions = {
+        length: {
+          'mm millimeter millimeters millimetre millimetres': 0.001,
+          'cm centimeter centimeters centimetre centimetres': 0.01,
+          'm meter meters metre metres': 1,
+          'km kilometer kilometers kilometre kilometres': 1000,
+          'in inch inches': 0.0254,
+          'ft foot feet': 0.3048,
+          'yd yard yards': 0.9144,
+          'mi mile miles': 1609.344,
+          'nmi': 1852
+        },
+        mass: {
+          'mg milligram milligrams': 1e-6,
+          'g gram grams': 0.001,
+          'kg kilogram kilograms kilo kilos': 1,
+          't tonne tonnes': 1000,
+          'oz ounce ounces': 0.028349523125,
+          'lb lbs pound pounds': 0.45359237,
+          'st stone stones': 6.35029318
+        },
+        temperature: {
+          '°C C celsius': [1, 273.15],
+          '°F F fahrenheit': [5 / 9, 459.67 * 5 / 9],
+          'K kelvin': [1, 0]
+        },
+        volume: {
+          'ml mL milliliter milliliters millilitre millilitres': 0.001,
+          'cl': 0.01,
+          'dl': 0.1,
+          'L l liter liters litre litres': 1,
+          'm3 m³': 1000,
+          'tsp teaspoon teaspoons': 0.00492892159375,
+          'tbsp tablespoon tablespoons': 0.01478676478125,
+          'floz': 0.0295735295625,
+          'cup cups': 0.2365882365,
+          'pt pint pints': 0.473176473,
+          'qt quart quarts': 0.946352946,
+          'gal gallon gallons': 3.785411784
+        },
+        'data size': {
+          'bit bits b': 0.125,
+          'B byte bytes': 1,
+          'KB kb': 1e3,
+          'MB mb': 1e6,
+          'GB gb': 1e9,
+          'TB tb': 1e12,
+          'PB pb': 1e15,
+          'KiB kib': 1024,
+          'MiB mib': 1024 ** 2,
+          'GiB gib': 1024 ** 3,
+          'TiB tib': 1024 ** 4,
+          'Kb kbit': 125,
+          'Mb mbit': 125e3,
+          'Gb gbit': 125e6
+        },
+        duration: {
+          'ms millisecond milliseconds': 0.001,
+          's sec secs second seconds': 1,
+          'min mins minute minutes': 60,
+          'h hr hrs hour hours': 3600,
+          'd day days': 86400,
+          'wk week weeks': 604800,
+          'mo month months': 2629746,
+          'yr year years': 31556952
+        }
+      };
+
+      const units = {};
+      for (const [dimension, groups] of Object.entries(dimensions)) {
+        for (const [aliases, scale] of Object.entries(groups)) {
+          const [factor, offset] = Array.isArray(scale) ? scale : [scale, 0];
+          const names = aliases.split(' ');
+          for (const name of names) {
+            units[name] = { dimension, factor, offset, label: names[0] };
+          }
+        }
+      }
+      this._conversionUnits = units;
+      return units;
+    }
+
+    // Case matters where it tells units apart (Mb vs MB, m vs M), otherwise not
+    resolveUnit(name) {
+      const units = this.conversionUnits();
+      const clean = name.trim().replace(/^deg(?=[CF]$)/i, '°');
+      if (Object.hasOwn(units, clean)) return units[clean];
+      const lower = clean.toLowerCase();
+      const key = Object.keys(units).find(unit => unit.toLowerCase() === lower);
+      return key ? units[key] : null;
+    }
+
+    // Common abbreviations → IANA zones, so daylight saving time is applied
+    // the way people mean it ("PST" in July is Pacific time)
+    timeZoneAbbreviations() {
+      return {
+        UTC: 'UTC', GMT: 'UTC', Z: 'UTC',
+        PST: 'America/Los_Angeles', PDT: 'America/Los_Angeles', PT: 'America/Los_Angeles',
+        MST: 'America/Denver', MDT: 'America/Denver', MT: 'America/Denver',
+        CST: 'America/Chicago', CDT: 'America/Chicago', CT: 'America/Chicago',
+        EST: 'America/New_York', EDT: 'America/New_York', ET: 'America/New_York',
+        AKST: 'America/Anchorage', HST: 'Pacific/Honolulu',
+        BRT: 'America/Sao_Paulo', ART: 'America/Argentina/Buenos_Aires',
+        BST: 'Europe/London', WET: 'Europe/Lisbon',
+        CET: 'Europe/Paris', CEST: 'Europe/Paris',
+        EET: 'Europe/Athens', EEST: 'Europe/Athens', MSK: 'Europe/Moscow',
+        WAT: 'Africa/Lagos', SAST: 'Africa/Johannesburg', EAT: 'Africa/Nairobi',
+        GST: 'Asia/Dubai', PKT: 'Asia/Karachi', IST: 'Asia/Kolkata', NPT: 'Asia/Kathmandu',
+        ICT: 'Asia/Bangkok', WIB: 'Asia/Jakarta', SGT: 'Asia/Singapore', HKT: 'Asia/Hong_Kong',
+        PHT: 'Asia/Manila', JST: 'Asia/Tokyo', KST: 'Asia/Seoul',
+        AWST: 'Australia/Perth', ACST: 'Australia/Adelaide',
+        AEST: 'Australia/Sydney', AEDT: 'Australia/Sydney',
+        NZST: 'Pacific/Auckland', NZDT: 'Pacific/Auckland'
+      };
+    }
+
+    // "IST", "UTC+5:30", "GMT-3", "Europe/Berlin" or "local" →
+    // { label, timeZone } or { label, offset } (minutes east of UTC)
+    resolveTimeZone(name) {
+      const clean = name.trim();
+      if (/^local$/i.test(clean)) return { label: '', offset: null };
+
+      const fixed = clean.match(/^(?:UTC|GMT)\s*([+-])\s*(\d{1,2})(?::?(\d{2}))?$/i);
+      if (fixed) {
+        const minutes = parseInt(fixed[2], 10) * 60 + parseInt(fixed[3] || '0', 10);
+        return { label: clean.toUpperCase().replace(/\s+/g, ''), offset: fixed[1] === '-' ? -minutes : minutes };
+      }
+
+      const abbreviation = this.timeZoneAbbreviations()[clean.toUpperCase()];
+      if (abbreviation) return { label: clean.toUpperCase(), timeZone: abbreviation };
+
+      if (clean.includes('/')) {
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone: clean });
+          return { label: clean, timeZone: clean };
+        } catch (e) {
+          return null;
+        }
+      }
+      return null;
+    }
+
+    // Minutes east of UTC for a zone at a given instant
+    zoneOffsetMinutes(zone, timestamp) {
+      if (zone.offset !== undefined) {
+        return zone.offset === null ? -new Date(timestamp).getTimezoneOffset() : zone.offset;
+      }
+      const wall = this.zoneWallClock(zone, timestamp);
+      return Math.round((Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute) - timestamp) / 60000);
+    }
+
+    // Calendar date and clock time of an instant in a zone
+    zoneWallClock(zone, timestamp) {
+      if (zone.timeZone) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+          timeZone: zone.timeZone, hourCycle: 'h23',
+          year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+        }).formatToParts(new Date(timestamp)).forEach(part => { parts[part.type] = parseInt(part.value, 10); });
+        return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute };
+      }
+      const shifted = new Date(timestamp + this.zoneOffsetMinutes(zone, timestamp) * 60000);
+      return {
+        year: shifted.getUTCFullYear(),
+        month: shifted.getUTCMonth() + 1,
+        day: shifted.getUTCDate(),
+        hour: shifted.getUTCHours(),
+        minute: shifted.getUTCMinutes()
+      };
+    }
+
+    // A clock time today in one zone, shown in another
+    convertTime(time, fromZone, toZone) {
+      const now = Date.now();
+      const today = this.zoneWallClock(fromZone, now);
+      let hour = today.hour;
+      let minute = today.minute;
+
+      const clock = time.trim().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
+      if (clock) {
+        hour = parseInt(clock[1], 10);
+        minute = parseInt(clock[2] || '0', 10);
+        const meridiem = (clock[3] || '').toLowerCase();
+        if (minute > 59 || hour > (meridiem ? 12 : 23) || (meridiem && hour === 0)) {
+          throw new Error(`"${time.trim()}" is not a valid time`);
+        }
+        if (meridiem) hour = (hour % 12) + (meridiem === 'pm' ? 12 : 0);
+      }
+
+      // Wall-clock time → instant; the second pass settles DST changes
+      const wallUtc = Date.UTC(today.year, today.month - 1, today.day, hour, minute);
+      let instant = wallUtc - this.zoneOffsetMinutes(fromZone, wallUtc) * 60000;
+      instant = wallUtc - this.zoneOffsetMinutes(fromZone, instant) * 60000;
+
+      const there = this.zoneWallClock(toZone, instant);
+      const dayShift = Math.round((Date.UTC(there.year, there.month - 1, there.day) -
+        Date.UTC(today.year, today.month - 1, today.day)) / 86400000);
+
+      // Answer in the clock style the question was asked in
+      const use12h = /am|pm/i.test(time);
+      const show = (h, m) => use12h
+        ? `${h % 12 || 12}:${String(m).padStart(2, '0')} ${h < 12 ? 'AM' : 'PM'}`
+        : `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+      const label = (zone) => zone.label ? ' ' + zone.label : '';
+      const shift = dayShift === 0 ? '' : dayShift > 0 ? ' (next day)' : ' (previous day)';
+
+      return {
+        from: show(hour, minute) + label(fromZone),
+        text: show(there.hour, there.minute) + label(toZone) + shift
+      };
+    }
+
+    // ===== GENERATORS =====
+    // /uuid, /rand:1-100 (or /rand:6 for 1–6), /pass:20 with optional
+    // character classes (/pass:16:lud — l lower, u upper, d digits, s symbols)
+    // and named counters (/seq:invoice → INV-0042). Randomness comes from
+    // crypto.getRandomValues. Returns false when no generator matches.
+    // A generator returns null while its input is still incomplete.
+    offerGenerator(target, textBeforeCaret) {
+      const generators = [
+        {
+          key: '/uuid',
+          pattern: 'uuid',
+          generate: () => ({ text: this.generateUuid() })
+        },
+        {
+          key: '/rand',
+          pattern: 'rand:(-?\\d+)(?:-(-?\\d+))?',
+          generate: (m) => {
+            const [min, max] = m[2] === undefined ? [1, Number(m[1])] : [Number(m[1]), Number(m[2])];
+            return { text: String(this.randomInt(Math.min(min, max), Math.max(min, max))) };
+          }
+        },
+        {
+          key: '/pass',
+          pattern: 'pass:(\\d+)(?::([a-z]*))?',
+          generate: (m) => {
+            const classes = (m[2] || 'luds').toLowerCase();
+            // Still typing the length (/pass:2 on the way to /pass:20)
+            if (Number(m[1]) < Math.max(4, new Set(classes).size)) return null;
+            return { text: this.generatePassword(Number(m[1]), classes) };
+          }
+        },
+        {
+          key: '/seq',
+          pattern: 'seq:([a-zA-Z0-9_-]+)',
+          generate: (m) => {
+            const counter = this.counters[m[1]];
+            const text = this.formatCounter(counter ? counter.format : '#', counter ? counter.next : 1);
+            return { text, counter: m[1], label: `${m[1]} → ${text}${counter ? '' : ' (new counter)'}` };
+          }
+        }
+      ];
+
+      for (const generator of generators) {
+        const m = textBeforeCaret.match(this.triggerRegex(generator.pattern + '$'));
+        if (!m) continue;
+
+        // A user shortcut with the same name wins (/seq:name can't be typed as one)
+        if (generator.key !== '/seq' && this.shortcuts[this.resolveShortcutKey(generator.key.slice(1))]) return false;
+
+        const match = {
+          target,
+          shortcutKey: generator.key,
+          count: 0,
+          position: this.getCaretPosition(target),
+          hasCount: false,
+          trigger: m[0],
+          fullText: ''
+        };
+
+        let result;
+        try {
+          result = generator.generate(m);
+        } catch (err) {
+          this.offerMatch(match, '<span style="color:#ff4444;font-weight:bold;font-size:14px;">⚠️ Error: ' + this.escapeHtml(err.message) + '</span>');
+          return true;
+        }
+        if (!result) return true; // incomplete — no preview yet
+
+        match.fullText = result.text;
+        match.counter = result.counter || null;
+        this.offerMatch(match, '🎲 ' + this.escapeHtml(result.label || result.text));
+        return true;
+      }
+      return false;
+    }
+
+    // Uniform integer in [min, max], without modulo bias
+    randomInt(min, max) {
+      const range = max - min + 1;
+      if (!Number.isSafeInteger(min) || !Number.isSafeInteger(max) || range > 2 ** 32) {
+        throw new Error('Range is too large');
+      }
+      const limit = Math.floor(2 ** 32 / range) * range;
+      const buffer = new Uint32Array(1);
+      do {
+        crypto.getRandomValues(buffer);
+      } while (buffer[0] >= limit);
+      return min + (buffer[0] % range);
+    }
+
+    // Version 4 UUID — crypto.randomUUID only exists on https pages
+    generateUuid() {
+      const bytes = crypto.getRandomValues(new Uint8Array(16));
+      bytes[6] = (bytes[6] & 0x0f) | 0x40;
+      bytes[8] = (bytes[8] & 0x3f) | 0x80;
+      const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+      return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+
+    // At least one character from every class asked for
+    generatePassword(length, classes) {
+      const sets = {
+        l: 'abcdefghijklmnopqrstuvwxyz',
+        u: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+        d: '0123456789',
+        s: '!@#$%^&*()-_=+[]{};:,.?/'
+      };
+      const chosen = [...new Set(classes)];
+      const unknown = chosen.find(name => !sets[name]);
+      if (unknown) throw new Error(`Unknown character class "${unknown}" — use l, u, d or s`);
+      if (length < Math.max(4, chosen.length) || length > 128) {
+        throw new Error('Password length must be between 4 and 128');
+      }
+
+      const pick = (chars) => chars[this.randomInt(0, chars.length - 1)];
+      const all = chosen.map(name => sets[name]).join('');
+      const chars = chosen.map(name => pick(sets[name]));
+      while (chars.length < length) chars.push(pick(all));
+
+      // Shuffle so the guaranteed characters aren't always first
+      for (let i = chars.length - 1; i > 0; i--) {
+        const j = this.randomInt(0, i);
+        [chars[i], chars[j]] = [chars[j], chars[i]];
+      }
+      return chars.join('');
+    }
+
+    // Runs of # are the number, zero-padded to their length: INV-#### → INV-0042
+    formatCounter(format, value) {
+      if (!format.includes('#')) return format + value;
+      return format.replace(/#+/g, run => String(value).padStart(run.length, '0'));
+    }
+
+    // The number to insert, taken by the background so other tabs, frames
+    // and quick repeats never get the same one. Throws when it can't be had.
+    async reserveCounter(name) {
+      const reserved = await chrome.runtime.sendMessage({ action: 'reserveCounter', name });
+      if (!reserved || reserved.error) {
+        throw new Error((reserved && reserved.error) || 'Counter is unavailable');
+      }
+      return this.formatCounter(reserved.format, reserved.value);
+    }
+
+    // ===== LOREM IPSUM =====
+    // Unit prefix: none = words, s = sentences, p = paragraphs, c = characters.
+    // An optional :corpus picks the filler language (see loremCorpora).
+    offerLorem(target, loremMatch) {
+      // Matched case-insensitively ("/LOREM:P2", see triggerRegex)
+      const unit = (loremMatch[1] || 'w').toLowerCase();
+      const count = parseInt(loremMatch[2], 10);
+      const corpus = (loremMatch[3] || 'la').toLowerCase();
+      const limits = { w: 1000, s: 200, p: 30, c: 10000 };
+      const units = { w: 'words', s: 'sentences', p: 'paragraphs', c: 'characters' };
+
+      const match = {
+        target,
+        shortcutKey: '/lorem',
+        count,
+        position: this.getCaretPosition(target),
+        hasCount: true,
+        trigger: loremMatch[0],
+        fullText: ''
+      };
+
+      let error = null;
+      if (!this.loremCorpora()[corpus]) {
+        error = 'Unknown filler "' + corpus + '"<br>Use ' + Object.keys(this.loremCorpora()).join(', ') + '.';
+      } else if (count > limits[unit]) {
+        error = 'Maximum ' + limits[unit] + ' ' + units[unit] + ' allowed!<br>You requested ' + count + ' ' + units[unit] + '.';
+      }
+      if (error) {
+        this.offerMatch(match, '<span style="color:#ff4444;font-weight:bold;font-size:14px;">⚠️ Error: ' + error + '</span>');
+        return;
+      }
+
+      match.fullText = this.generateLorem(unit, count, corpus);
+      if (match.fullText) {
+        this.offerMatch(match, this.escapeHtml(match.fullText));
+      }
+    }
+
+    // Filler corpora: la = classic Lorem Ipsum, en = English-like, hi = Hindi
+    loremCorpora() {
+      return {
+        la: {
+          stop: '.',
+          words: ('lorem ipsum dolor sit amet consectetur adipiscing elit sed do eiusmod tempor incididunt ut ' +
+            'labore et dolore magna aliqua enim ad minim veniam quis nostrud exercitation ullamco laboris nisi ' +
+            'aliquip ex ea commodo consequat duis aute irure in reprehenderit voluptate velit esse cillum eu ' +
+            'fugiat nulla pariatur excepteur sint occaecat cupidatat non proident sunt culpa qui officia ' +
+            'deserunt mollit anim id est laborum').split(' ')
+        },
+        en: {
+          stop: '.',
+          words: ('the quiet river runs past a small town where people often gather to share simple stories ' +
+            'about bright mornings and long evenings every window holds its own light while gentle wind moves ' +
+            'through open fields near an old bridge children laugh under tall trees the market opens early with ' +
+            'fresh bread warm coffee friends walk slowly along the path toward green hills beyond each season ' +
+            'changes colors of the garden table letters music drifts from corner cafe weekend plans begin over ' +
+            'lunch').split(' ')
+        },
+        hi: {
+          stop: '।',
+          words: ('और यह एक में है के लिए साथ हम आप समय काम दिन लोग नया बहुत अच्छा घर शहर पानी सुबह शाम ' +
+            'रास्ता बात दुनिया जीवन खेल किताब स्कूल बाज़ार परिवार मित्र सवाल जवाब सपना रंग गीत हवा धूप ' +
+            'बारिश पेड़ फूल नदी पहाड़ सफ़र खुशी मेहनत उम्मीद कहानी शुरुआत आज कल फिर अब सब कुछ हमेशा ' +
+            'धीरे जल्दी साफ़ सुंदर बड़ा छोटा पुराना करना देखना चलना लिखना पढ़ना सोचना').split(' ')
+        }
+      };
+    }
+
+    generateLorem(unit, count, corpusName = 'la') {
+      if (count <= 0) return '';
+
+      const corpus = this.loremCorpora()[corpusName];
+      const nextSentence = this.createSentenceGenerator(corpus);
+
+      if (unit === 's') {
+        return Array.from({ length: count }, nextSentence).join(' ');
+      }
+      if (unit === 'p') {
+        return Array.from({ length: count }, () =>
+          Array.from({ length: 4 + Math.floor(Math.random() * 4) }, nextSentence).join(' ')
+        ).join('\n\n');
+      }
+
+      // Words and characters: run sentences together, then cut to size
+      let text = '';
+      let wordCount = 0;
+      while (unit === 'w' ? wordCount < count : this.countCharacters(text) < count) {
+        const sentence = nextSentence();
+        text += (text ? ' ' : '') + sentence;
+        wordCount += sentence.split(' ').length;
+      }
+
+      if (unit === 'w') {
+        return text.split(' ').slice(0, count).join(' ').replace(/[,.।]$/, '') + corpus.stop;
+      }
+      const chars = this.splitCharacters(text).slice(0, count).join('');
+      return chars.endsWith(' ') ? chars.slice(0, -1) + corpus.stop : chars;
+    }
+
+    // User-perceived characters, so a cut never splits a Devanagari
+    // syllable or an emoji (code points where Intl.Segmenter is missing)
+    splitCharacters(text) {
+      if (typeof Intl.Segmenter !== 'function') return Array.from(text);
+      return Array.from(new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(text), part => part.segment);
+    }
+
+    countCharacters(text) {
+      return this.splitCharacters(text).length;
+    }
+
+    // Random sentences drawn from a shuffled bag of the corpus words, so words
+    // don't repeat until the whole corpus has been used
+    createSentenceGenerator(corpus) {
+      let bag = [];
+      let lastWord = null;
+
+      const draw = () => {
+        if (bag.length === 0) {
+          bag = corpus.words.slice();
+          for (let i = bag.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [bag[i], bag[j]] = [bag[j], bag[i]];
+          }
+          // No word twice in a row across refills
+          if (bag[bag.length - 1] === lastWord) bag.unshift(bag.pop());
+        }
+        lastWord = bag.pop();
+        return lastWord;
+      };
+
+      return () => {
+        const length = 6 + Math.floor(Math.random() * 9);
+        const words = [];
+        for (let i = 0; i < length; i++) {
+          let word = draw();
+          // An occasional comma mid-sentence, never two in a row
+          if (i > 1 && i < length - 2 && !words[i - 1].endsWith(',') && Math.random() < 0.12) {
+            word += ',';
+          }
+          words.push(word);
+        }
+        const sentence = words.join(' ');
+        return sentence.charAt(0).toUpperCase() + sentence.slice(1) + corpus.stop;
+      };
+    }
+
+    // Generate full text with placeholders resolved and emojis
+    generateText(shortcutKey, count, target = null, caseMode = null) {
+      const shortcut = this.shortcuts[shortcutKey];
+      if (!shortcut) return '';
+
+      // The case is applied once the text is complete (see applyCase)
+      let finalText = this.resolvePlaceholders(this.expandIncludes(shortcut.text, [shortcutKey]), target, !!caseMode);
+
+      // Only add emojis if count > 0 AND shortcut has emojis
+      if (shortcut.emojis && count > 0) {
+        const randomEmojis = this.getRandomEmojis(shortcut.emojis, count);
+        if (randomEmojis) {
+          finalText += ' ' + randomEmojis;
+        }
+      }
+
+      return finalText;
+    }
+
+    // ===== SNIPPET INCLUDES =====
+    // {{/signature}} inserts another shortcut's text, resolving its own
+    // includes in turn, matching names in any case like triggers do. A cycle,
+    // a missing shortcut or nesting deeper than the limit leaves the token as
+    // written so it shows up in the preview.
+    expandIncludes(text, chain = []) {
+      const maxDepth = 5;
+      if (!text || text.indexOf('{{/') === -1) return text;
+
+      return text.replace(/\{\{\/([a-zA-Z0-9]+)\}\}/g, (token, name) => {
+        const key = this.resolveShortcutKey(name);
+        const included = this.shortcuts[key];
+        if (!included || chain.includes(key) || chain.length > maxDepth) return token;
+        return this.expandIncludes(included.text, [...chain, key]);
+      });
+    }
+
+    // ===== DYNAMIC PLACEHOLDERS =====
+    // {date}, {date:DD/MM/YYYY}, {time}, {time:hh:mm A}, {datetime},
+    // {clipboard}, {url}, {title}, {hostname}, {selection}
+    // Unknown tokens are left untouched so literal braces survive.
+    // With markVerbatim, {url} and {clipboard} values are wrapped in private
+    // use characters so applyCase leaves them as they are.
+    resolvePlaceholders(text, target = null, markVerbatim = false) {
+      if (!text || text.indexOf('{') === -1) return text;
+
+      const now = new Date();
+      const verbatim = (value) => markVerbatim ? '\uE000' + value + '\uE001' : value;
+
+      return text.replace(/\{(\w+)(?::([^{}]*))?\}/g, (token, name, arg) => {
+        switch (name.toLowerCase()) {
+          case 'date':
+            return arg ? this.formatDatePlaceholder(arg, now) : now.toLocaleDateString();
+          case 'time':
+            return arg ? this.formatDate(now, arg) : now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+          case 'datetime':
+            return arg ? this.formatDate(now, arg) : now.toLocaleString();
+          case 'clipboard':
+            return verbatim(this.clipboardText || '');
+          case 'url':
+            return verbatim(window.location.href);
+          case 'title':
+            return document.title;
+          case 'hostname':
+          case 'host':
+            return window.location.hostname;
+          case 'selection':
+            return this.getSelectedText(target) || this.lastSelection || '';
+          default:
+            return token;
+        }
+      });
+    }
+
+    // ===== DATE ARITHMETIC =====
+    // /date:today+14d, /date:next friday, /date:2026-12-01 - today (days
+    // between). "as FORMAT" picks the formatDate pattern for one result.
+    offerDate(target, query, trigger) {
+      const [, expression, format] = query.match(/^(.*?)(?:\s+as\s+(.+))?$/i);
+      let result = null;
+      let error = null;
+      try {
+        result = this.evaluateDate(expression);
+      } catch (err) {
+        error = err.message;
+      }
+
+      let text = '';
+      if (result && result.days !== undefined) {
+        text = `${result.days} day${Math.abs(result.days) === 1 ? '' : 's'}`;
+      } else if (result) {
+        text = this.formatDate(result.date, format || this.dateSettings.format);
+      }
+
+      this.removePreview();
+      const match = {
+        target,
+        shortcutKey: '/date',
+        count: 0,
+        position: this.getCaretPosition(target),
+        hasCount: false,
+        trigger,
+        fullText: text
+      };
+
+      const shown = this.escapeHtml(query.trim());
+      if (error) {
+        this.offerMatch(match, '📅 ' + shown + '<br><span style="color:#ff4444;font-weight:bold;font-size:14px;">⚠️ ' + this.escapeHtml(error) + '</span>');
+      } else if (result && /DDD/.test(format || this.dateSettings.format)) {
+        this.offerMatch(match, shown + ' = ' + this.escapeHtml(text));
+      } else if (result && result.date) {
+        // The weekday helps check the result
+        this.offerMatch(match, shown + ' = ' + this.escapeHtml(text) + ' (' + this.formatDate(result.date, 'DDDD') + ')');
+      } else if (result) {
+        this.offerMatch(match, shown + ' = ' + this.escapeHtml(text));
+      } else {
+        this.offerMatch(match, '📅 ' + shown + ' = ...');
+      }
+    }
+
+    // Returns { date } or, for date - date, { days }; null while the
+    // expression is still being typed. Throws an Error with a readable message
+    // when it can't be worked out. Offsets: d, w, m (months), y.
+    evaluateDate(expression, now = new Date()) {
+      const weekdays = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+      const keywords = ['today', 'now', 'tomorrow', 'yesterday', 'next', 'last', 'this', 'week', 'month', 'year',
+        'days', 'weeks', 'months', 'years', ...weekdays];
+
+      // Thrown when the input ends where more is expected — still being typed
+      const INCOMPLETE = {};
+
+      let rest = expression.trim().toLowerCase();
+      if (!rest) return null;
+
+      const take = (regex) => {
+        const m = rest.match(regex);
+        if (m) rest = rest.slice(m[0].length).trimStart();
+        return m;
+      };
+      const isPartial = (word) => !rest && keywords.some(keyword => keyword.startsWith(word));
+
+      const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+      const addDays = (date, n) => {
+        const result = new Date(date);
+        result.setDate(result.getDate() + n);
+        return result;
+      };
+      const addMonths = (date, n) => {
+        const result = new Date(date);
+        const day = result.getDate();
+        result.setDate(1);
+        result.setMonth(result.getMonth() + n);
+        // Jan 31 + 1m is the last day of February
+        result.setDate(Math.min(day, new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate()));
+        return result;
+      };
+      const addOffset = (date, n, unit) => {
+        if (unit === 'w') return addDays(date, n * 7);
+        if (unit === 'm') return addMonths(date, n);
+        if (unit === 'y') return addMonths(date, n * 12);
+        return addDays(date, n);
+      };
+      // "fri", "thurs" and full names
+      const weekdayIndex = (word) => word.length < 3 ? -1 : weekdays.findIndex(day => day.startsWith(word));
+
+      // term = today | now | tomorrow | yesterday | YYYY-MM-DD
+      //      | (next | last | this) (weekday | week | month | year) | weekday
+      const parseTerm = () => {
+        if (take(/^today(?![a-z])/)) return today;
+        if (take(/^now(?![a-z])/)) return new Date(now);
+        if (take(/^tomorrow(?![a-z])/)) return addDays(today, 1);
+        if (take(/^yesterday(?![a-z])/)) return addDays(today, -1);
+
+        const iso = take(/^(\d{4})-(\d{1,2})-(\d{1,2})(?!\d)/);
+        if (iso) {
+          const [year, month, day] = iso.slice(1).map(Number);
+          if (!rest && (month === 0 || day === 0)) throw INCOMPLETE; // "2026-12-0" on the way to "-01"
+          const date = new Date(year, month - 1, day);
+          if (date.getMonth() !== month - 1 || date.getDate() !== day) {
+            throw new Error(`${iso[0]} is not a valid date`);
+          }
+          return date;
+        }
+        if (/^\d{1,4}(-\d{0,2}){0,2}$/.test(rest)) throw INCOMPLETE;
+
+        const relative = take(/^(next|last|this)\s+([a-z]+)/);
+        if (relative) {
+          const [, which, word] = relative;
+          const step = which === 'next' ? 1 : which === 'last' ? -1 : 0;
+          if (word === 'week' || word === 'month' || word === 'year') {
+            return addOffset(today, step, word[0]);
+          }
+          const day = weekdayIndex(word);
+          if (day === -1) {
+            if (isPartial(word)) throw INCOMPLETE;
+            throw new Error(`Unknown day "${word}"`);
+          }
+          // next: strictly after today, last: strictly before, this: today onwards
+          if (which === 'last') return addDays(today, -((today.getDay() - day + 7) % 7 || 7));
+          const ahead = (day - today.getDay() + 7) % 7;
+          return addDays(today, which === 'next' ? ahead || 7 : ahead);
+        }
+
+        const word = take(/^[a-z]+/);
+        if (word) {
+          const day = weekdayIndex(word[0]);
+          if (day !== -1) return addDays(today, (day - today.getDay() + 7) % 7);
+          if (isPartial(word[0])) throw INCOMPLETE;
+          throw new Error(`Unknown date "${word[0]}"`);
+        }
+
+        if (!rest) throw INCOMPLETE;
+        throw new Error(`Unexpected "${rest[0]}"`);
+      };
+
+      try {
+        // A leading offset ("+14d") counts from today
+        let value = /^[+-]/.test(rest) ? { date: today } : { date: parseTerm() };
+
+        while (rest) {
+          const sign = take(/^[+-]/);
+          if (!sign) {
+            // "today+1 we" on the way to "weeks"
+            if (/^[a-z]+$/.test(rest) && keywords.some(keyword => keyword.startsWith(rest))) throw INCOMPLETE;
+            throw new Error(`Unexpected "${rest.split(/\s+/)[0]}"`);
+          }
+          if (!rest) throw INCOMPLETE;
+          if (value.days !== undefined) throw new Error('A number of days can\'t be shifted further');
+
+          const direction = sign[0] === '-' ? -1 : 1;
+          // "2026-12-01" after the sign is a date, not 2026 days
+          const offset = /^\d{4}-/.test(rest) ? null : take(/^(\d+)\s*(days?|d|weeks?|wk|w|months?|mo|m|years?|yrs?|y)?(?![a-z])/);
+          if (offset) {
+            // A bare number means days
+            value = { date: addOffset(value.date, direction * Number(offset[1]), (offset[2] || 'd')[0]) };
+          } else {
+            const other = parseTerm();
+            if (direction === 1) throw new Error('Dates can\'t be added — subtract them to count the days');
+            const dayNumber = (date) => Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / 86400000;
+            value = { days: Math.round(dayNumber(value.date) - dayNumber(other)) };
+          }
+        }
+        return value;
+      } catch (err) {
+        if (err === INCOMPLETE) return null;
+        throw err;
+      }
+    }
+
+    // {date:today+14d}, {date:next friday as DD/MM/YYYY} and
+    // {date:2026-12-01 - today}; anything else is a format for today, as before
+    formatDatePlaceholder(arg, now) {
+      const [, expression, format] = arg.match(/^(.*?)(?:\s+as\s+(.+))?$/i);
+      try {
+        const result = this.evaluateDate(expression, now);
+        if (result && result.days !== undefined) return String(result.days);
+        if (result) return this.formatDate(result.date, format || this.dateSettings.format);
+      } catch (e) {
+        // Not a date expression
+      }
+      return this.formatDate(now, arg);
+    }
+
+    // Format a date with tokens: YYYY YY MMMM MMM MM M DDDD DDD DD D HH H hh h mm ss A a
+    // Only words made of tokens alone are replaced ("HHmm" is, "at" isn't);
+    // text inside [brackets] is always output literally
+    formatDate(date, pattern) {
+      const pad = (n) => String(n).padStart(2, '0');
+      const hours12 = date.getHours() % 12 || 12;
+      const tokens = {
+        YYYY: date.getFullYear(),
+        YY: String(date.getFullYear()).slice(-2),
+        MMMM: date.toLocaleDateString('en-US', { month: 'long' }),
+        MMM: date.toLocaleDateString('en-US', { month: 'short' }),
+        MM: pad(date.getMonth() + 1),
+        M: date.getMonth() + 1,
+        DDDD: date.toLocaleDateString('en-US', { weekday: 'long' }),
+        DDD: date.toLocaleDateString('en-US', { weekday: 'short' }),
+        DD: pad(date.getDate()),
+        D: date.getDate(),
+        HH: pad(date.getHours()),
+        H: date.getHours(),
+        hh: pad(hours12),
+        h: hours12,
+        mm: pad(date.getMinutes()),
+        ss: pad(date.getSeconds()),
+        A: date.getHours() < 12 ? 'AM' : 'PM',
+        a: date.getHours() < 12 ? 'am' : 'pm'
+      };
+
+      const tokenRegex = /YYYY|YY|MMMM|MMM|MM|M|DDDD|DDD|DD|D|HH|H|hh|h|mm|ss|A|a/g;
+      const onlyTokens = new RegExp('^(?:' + tokenRegex.source + ')+$');
+      return pattern.replace(/\[([^\]]*)\]|[a-zA-Z]+/g, (word, literal) => {
+        if (literal !== undefined) return literal;
+        if (!onlyTokens.test(word)) return word;
+        return word.replace(tokenRegex, token => String(tokens[token]));
+      });
+    }
+
+    // ===== FILL-IN FIELDS & CHOICES =====
+    // {{field:Name}} / {{field:Amount:default}} are filled in through a small
+    // form before insertion. Repeated names share one input.
+    parseFields(text) {
+      const fields = [];
+      const fieldRegex = /\{\{field:([^:{}]+)(?::([^{}]*))?\}\}/g;
+      let field;
+
+      while ((field = fieldRegex.exec(text)) !== null) {
+        const name = field[1].trim();
+        if (!fields.some(existing => existing.name === name)) {
+          fields.push({ name, defaultValue: field[2] || '' });
+        }
+      }
+      return fields;
+    }
+
+    fillFields(text, values) {
+      return text.replace(/\{\{field:([^:{}]+)(?::([^{}]*))?\}\}/g, (token, name, defaultValue) => {
+        const value = values[name.trim()];
+        return value ? value : (defaultValue || '');
+      });
+    }
+
+    // {choice:Regards|Best|Cheers} — every occurrence is its own dropdown
+    parseChoices(text) {
+      const choices = [];
+      const choiceRegex = /\{choice:([^{}]+)\}/g;
+      let choice;
+
+      while ((choice = choiceRegex.exec(text)) !== null) {
+        const options = choice[1].split('|').map(option => option.trim());
+        choices.push({ options, selected: 0 });
+      }
+      return choices;
+    }
+
+    fillChoices(text, choices) {
+      let index = 0;
+      return text.replace(/\{choice:([^{}]+)\}/g, (token, options) => {
+        const choice = choices && choices[index++];
+        return choice ? choice.options[choice.selected] : options.split('|')[0].trim();
+      });
+    }
+
+    // Render the template overlay (fields + choice dropdowns) inside the shadow
+    // DOM host. Returns false when shadow DOM is unavailable in this frame.
+    showTemplateForm(target, match) {
+      this.removePreview();
+      this.ensureShadowDom();
+      if (!this.shadowRoot) return false;
+      this.addImprovedStyles();
+
+      const { form, inputs, selects, previewText } = this.buildTemplateForm(
+        (match.fields || []).map(field => ({ name: field.name, placeholder: field.defaultValue })),
+        match.choices || [],
+        this.acceptingKeys(match)
+      );
+      selects.forEach((select, index) => {
+        select.addEventListener('change', () => {
+          match.choices[index].selected = select.selectedIndex;
+        });
+      });
+
+      const collectValues = () => {
+        const values = {};
+        inputs.forEach(input => { values[input.dataset.field] = input.value; });
+        return values;
+      };
+
+      const completeText = () => this.applyCase(
+        this.fillChoices(this.fillFields(match.fullText, collectValues()), match.choices), match.caseMode);
+
+      // Live preview of the completed text
+      const updatePreview = () => {
+        previewText.innerHTML = this.getPreviewHtml(completeText(), match.format);
+        form.querySelectorAll('.choice-row').forEach((row, index) => {
+          row.classList.toggle('active', index === (match.activeChoice || 0));
+        });
+        if (this.previewElement === form) this.mirrorPreviewToTop(target);
+      };
+      updatePreview();
+      form.addEventListener('input', updatePreview);
+      form.addEventListener('change', updatePreview);
+
+      // Keep keystrokes away from the page's own shortcuts
+      form.addEventListener('keydown', (e) => {
+        e.stopPropagation();
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          this.removePreview();
+          target.focus();
+        }
+        // Selects don't submit on Enter by themselves
+        if (e.key === 'Enter' && e.target.tagName === 'SELECT') {
+          e.preventDefault();
+          form.requestSubmit();
+        }
+      });
+
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        match.fullText = completeText();
+        match.fields = null;
+        match.choices = null;
+        this.replaceShortcut();
+      });
+
+      this.previewElement = form;
+      this.shadowRoot.appendChild(form);
+      this.positionAboveInput(target);
+
+      // Focus stays in the page input until the user accepts the snippet
+      target.focus();
+      this.mirrorPreviewToTop(target);
+      return true;
+    }
+
+    // The form's controls: a text input per { name, placeholder } field and
+    // a dropdown per { options, selected } choice, plus the live preview
+    buildTemplateForm(fields, choices, acceptKeys) {
+      const form = document.createElement('form');
+      form.className = 'shortcut-preview field-form';
+
+      const content = document.createElement('div');
+      content.className = 'preview-content';
+
+      const inputs = fields.map(field => {
+        const row = document.createElement('label');
+        row.className = 'field-row';
+
+        const label = document.createElement('span');
+        label.className = 'field-label';
+        label.textContent = field.name;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'field-input';
+        input.dataset.field = field.name;
+        input.placeholder = field.placeholder;
+
+        row.appendChild(label);
+        row.appendChild(input);
+        content.appendChild(row);
+        return input;
+      });
+
+      const selects = choices.map((choice, index) => {
+        const row = document.createElement('label');
+        row.className = 'field-row choice-row';
+
+        const label = document.createElement('span');
+        label.className = 'field-label';
+        label.textContent = choices.length > 1 ? `Choice ${index + 1}` : 'Choice';
+
+        const select = document.createElement('select');
+        select.className = 'choice-select';
+        select.dataset.choice = index;
+        choice.options.forEach(option => {
+          const optionEl = document.createElement('option');
+          optionEl.textContent = option;
+          select.appendChild(optionEl);
+        });
+        select.selectedIndex = choice.selected;
+
+        row.appendChild(label);
+        row.appendChild(select);
+        content.appendChild(row);
+        return select;
+      });
+
+      const previewText = document.createElement('div');
+      previewText.className = 'preview-text';
+      content.appendChild(previewText);
+
+      const footer = document.createElement('div');
+      footer.className = 'preview-footer';
+      const hint = document.createElement('span');
+      hint.className = 'preview-hint';
+      const acceptHint = this.acceptKeyHint(acceptKeys);
+      hint.innerHTML = fields.length
+        ? '<kbd>Tab</kbd> next field · <kbd>Enter</kbd> insert · <kbd>Esc</kbd> cancel'
+        : '<kbd>↑</kbd><kbd>↓</kbd> choose · ' + (acceptHint ? acceptHint + ' insert' : 'click Insert');
+      const insertBtn = document.createElement('button');
+      insertBtn.type = 'submit';
+      insertBtn.className = 'copy-btn';
+      insertBtn.textContent = 'Insert';
+      footer.appendChild(hint);
+      footer.appendChild(insertBtn);
+      content.appendChild(footer);
+      form.appendChild(content);
+
+      return { form, inputs, selects, previewText };
+    }
+
+    focusTemplateForm() {
+      const firstControl = this.previewElement && this.previewElement.querySelector('.field-input, .choice-select');
+      if (firstControl) firstControl.focus();
+    }
+
+    // Arrow keys in the page input: step through options of the active choice
+    cycleChoice(step) {
+      const match = this.currentMatch;
+      const index = match.activeChoice || 0;
+      const choice = match.choices[index];
+      choice.selected = (choice.selected + step + choice.options.length) % choice.options.length;
+
+      const select = this.previewElement.querySelector(`.choice-select[data-choice="${index}"]`);
+      if (select) {
+        select.selectedIndex = choice.selected;
+        select.dispatchEvent(new Event('change', { bubbles: true }));
+      }
+    }
+
+    // ...and move between choices when a snippet has several
+    switchActiveChoice(step) {
+      const match = this.currentMatch;
+      const count = match.choices.length;
+      match.activeChoice = ((match.activeChoice || 0) + step + count) % count;
+
+      this.previewElement.querySelectorAll('.choice-row').forEach((row, index) => {
+        row.classList.toggle('active', index === match.activeChoice);
+      });
+      this.mirrorPreviewToTop(match.target);
+    }
+
+    // Is this element part of our shadow DOM UI?
+    isOwnElement(el) {
+      if (!el || !this.shadowHost) return false;
+      if (el === this.shadowHost) return true;
+      return !!(el.getRootNode && el.getRootNode() === this.shadowRoot);
+    }
+
+    // ===== CURSOR MARKERS =====
+    // {cursor} marks where the caret lands after insertion. {cursor:1},
+    // {cursor:2}... are tab-stops visited in order with Tab (Shift+Tab goes back).
+    // Returns the text without markers plus marker offsets in visiting order.
+    extractCursorStops(text) {
+      const stops = [];
+      let clean = '';
+      let last = 0;
+      const markerRegex = /\{cursor(?::(\d+))?\}/g;
+      let marker;
+
+      while ((marker = markerRegex.exec(text)) !== null) {
+        clean += text.slice(last, marker.index);
+        stops.push({ order: marker[1] ? parseInt(marker[1], 10) : 0, position: clean.length });
+        last = marker.index + marker[0].length;
+      }
+      clean += text.slice(last);
+
+      // Stable sort: plain {cursor} first, ties keep document order
+      stops.sort((a, b) => a.order - b.order);
+      return { text: clean, stops: stops.map(stop => stop.position) };
+    }
+
+    // Put the typed trigger back in place of the last expansion in this
+    // element. Only works while the text is exactly as the expansion left it.
+    undoExpansion(target) {
+      const expansion = this.expansions.get(target);
+      this.expansions.delete(target);
+      if (!expansion || this.getPlainText(target) !== expansion.snapshot) return false;
+
+      this.tabStops = null;
+      this.replaceTextRange(target, expansion.start, expansion.start + expansion.length, expansion.trigger);
+      this._undoneValue = this.getValue(target);
+      return true;
+    }
+
+    // Move the caret to the next/previous tab-stop of the last expansion.
+    // Returns false (and forgets the stops) when Tab should act normally:
+    // past the last stop, or once the caret has left the snippet.
+    moveToTabStop(step) {
+      const tabStops = this.tabStops;
+      const currentLength = this.getValue(tabStops.target).length;
+      const delta = currentLength - tabStops.length;
+
+      // Typing is expected at the current stop — a caret before it or past
+      // the end of the snippet means the stops no longer line up
+      const caret = this.getCaretPosition(tabStops.target);
+      if (caret < tabStops.positions[tabStops.index] + Math.min(0, delta) || caret > tabStops.end + delta) {
+        this.tabStops = null;
+        return false;
+      }
+
+      // Whatever was typed at the current stop shifts every stop after it
+      for (let i = tabStops.index + 1; i < tabStops.positions.length; i++) {
+        tabStops.positions[i] += delta;
+      }
+      tabStops.end += delta;
+      tabStops.length = currentLength;
+
+      const next = Math.max(0, tabStops.index + step);
+      if (next >= tabStops.positions.length) {
+        this.tabStops = null;
+        return false;
+      }
+      tabStops.index = next;
+      this.setCaretPosition(tabStops.target, tabStops.positions[next]);
+      return true;
+    }
+
+    // Selected text in an input/textarea or in the page
+    getSelectedText(element) {
+      if (element && typeof element.selectionStart === 'number' && element.selectionEnd > element.selectionStart) {
+        return element.value.substring(element.selectionStart, element.selectionEnd);
+      }
+      const selection = window.getSelection();
+      return selection ? selection.toString() : '';
+    }
+
+    // Remember the last non-empty selection — typing a trigger collapses it
+    trackSelection() {
+      document.addEventListener('selectionchange', () => {
+        if (this.isSensitiveField(document.activeElement)) return;
+        const text = this.getSelectedText(document.activeElement);
+        if (text) this.lastSelection = text;
+      });
+    }
+
+    // Read clipboard into this.clipboardText for the {clipboard} placeholder
+    async refreshClipboard() {
+      try {
+        this.clipboardText = await navigator.clipboard.readText();
+      } catch (e) {
+        // Page denied clipboard access — fall back to a paste into a hidden
+        // textarea, which only works once the optional clipboardRead
+        // permission has been granted (the popup asks for it)
+        const granted = await new Promise(resolve => {
+          chrome.runtime.sendMessage({ action: 'hasClipboardPermission' }, (response) => {
+            resolve(!chrome.runtime.lastError && !!(response && response.granted));
+          });
+        });
+        if (!granted) return;
+
+        const helper = document.createElement('textarea');
+        helper.style.cssText = 'position: fixed !important; opacity: 0 !important; top: 0; left: 0;';
+        const previousFocus = document.activeElement;
+        const selection = this.saveSelection(previousFocus);
+        document.body.appendChild(helper);
+        helper.focus();
+        if (document.execCommand('paste')) {
+          this.clipboardText = helper.value;
+        }
+        helper.remove();
+        if (previousFocus && previousFocus.focus) previousFocus.focus();
+        this.restoreSelection(previousFocus, selection);
+      }
+    }
+
+    // Snapshot of the caret/selection in an element, so it survives focus
+    // moving away and back (contenteditable loses it on blur)
+    saveSelection(element) {
+      if (!element) return null;
+      if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
+        return { start: element.selectionStart, end: element.selectionEnd };
+      }
+      const selection = window.getSelection();
+      const ranges = [];
+      for (let i = 0; selection && i < selection.rangeCount; i++) {
+        ranges.push(selection.getRangeAt(i).cloneRange());
+      }
+      return { ranges };
+    }
+
+    restoreSelection(element, saved) {
+      if (!element || !saved) return;
+      if (saved.ranges) {
+        const selection = window.getSelection();
+        if (!selection || !saved.ranges.length) return;
+        selection.removeAllRanges();
+        saved.ranges.forEach(range => selection.addRange(range));
+      } else if (saved.start !== null && saved.start !== undefined) {
+        try {
+          element.setSelectionRange(saved.start, saved.end);
+        } catch (e) {
+          // Input types without a selection (email, number)
+        }
+      }
+    }
+
+    escapeHtml(text) {
+      return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/\n/g, '<br>');
+    }
+
+    // ===== RICH TEXT SNIPPETS =====
+    // A shortcut's `format` is 'text' (default), 'markdown' or 'html'. Rich
+    // snippets are inserted as HTML into contenteditable editors and flattened
+    // to plain text for <input>/<textarea>.
+
+    renderRichText(text, format) {
+      if (format === 'markdown') return this.markdownToHtml(text);
+      if (format === 'html') return this.sanitizeHtml(text);
+      return this.escapeHtml(text);
+    }
+
+    // Markdown subset: **bold**, *italic*/_italic_, `code`, [link](url),
+    // "- " / "1. " lists and line breaks
+    markdownToHtml(markdown) {
+      const inline = (line) => {
+        // Code spans and link URLs are set aside first so * and _ inside
+        // them aren't read as emphasis
+        const kept = [];
+        const keep = (html) => `\u0000${kept.push(html) - 1}\u0000`;
+        return this.escapeHtml(line)
+          .replace(/`([^`]+)`/g, (m, code) => keep(`<code>${code}</code>`))
+          .replace(/\[([^\]]+)\]\(((?:https?:|mailto:)[^)\s]+)\)/g, (m, label, url) => `<a href="${keep(url)}">${label}</a>`)
+          .replace(/\*\*([^*]+)\*\*|__([^_]+)__/g, (m, a, b) => `<strong>${a || b}</strong>`)
+          .replace(/\*([^*]+)\*|(^|[^\w])_([^_]+)_(?!\w)/g, (m, a, prefix, b) =>
+            a !== undefined ? `<em>${a}</em>` : `${prefix}<em>${b}</em>`)
+          .replace(/\u0000(\d+)\u0000/g, (m, index) => kept[index]);
+      };
+
+      const html = [];
+      let list = null;
+      const closeList = () => {
+        if (list) html.push(`</${list}>`);
+        list = null;
+      };
+
+      markdown.split('\n').forEach((line, index, lines) => {
+        const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+        const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+        const listType = bullet ? 'ul' : numbered ? 'ol' : null;
+
+        if (listType) {
+          if (list !== listType) {
+            closeList();
+            html.push(`<${listType}>`);
+            list = listType;
+          }
+          html.push(`<li>${inline((bullet || numbered)[1])}</li>`);
+          return;
+        }
+
+        closeList();
+        html.push(inline(line));
+        // A <br> right before a list only ends the line — a blank line before
+        // one keeps its own
+        const nextIsList = index + 1 < lines.length && /^\s*([-*+]|\d+[.)])\s+/.test(lines[index + 1]);
+        if (index < lines.length - 1 && (!nextIsList || !line.trim())) html.push('<br>');
+      });
+      closeList();
+
+      return html.join('');
+    }
+
+    // Keep only basic formatting tags; unwrap anything else, drop
+    // scripts/styles and non-http(s)/mailto links
+    sanitizeHtml(html) {
+      // Allowed tags and their allowed attributes
+      const allowed = {
+        B: [], STRONG: [], I: [], EM: [], U: [], S: [], CODE: [],
+        A: ['href'], BR: [], P: [], DIV: [], UL: [], OL: [], LI: []
+      };
+      const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+
+      const serialize = (node) => {
+        if (node.nodeType === Node.TEXT_NODE) {
+          return this.escapeHtml(node.textContent.replace(/\n/g, ' '));
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+        const children = Array.from(node.childNodes).map(serialize).join('');
+        if (['SCRIPT', 'STYLE', 'TEMPLATE', 'IFRAME', 'OBJECT'].includes(node.tagName)) return '';
+        if (!allowed[node.tagName]) return children;
+
+        const tag = node.tagName.toLowerCase();
+        const attrs = allowed[node.tagName]
+          .filter(name => node.hasAttribute(name))
+          .filter(name => name !== 'href' || /^(https?:|mailto:)/i.test(node.getAttribute(name).trim()))
+          .map(name => ` ${name}="${this.escapeHtml(node.getAttribute(name).trim())}"`)
+          .join('');
+
+        if (tag === 'br') return '<br>';
+        return `<${tag}${attrs}>${children}</${tag}>`;
+      };
+
+      return Array.from(doc.body.childNodes).map(serialize).join('');
+    }
+
+    // Plain-text rendering of a snippet: lists get bullets/numbers and links
+    // keep their URL
+    richToPlainText(text, format) {
+      if (!format || format === 'text') return text;
+
+      const doc = new DOMParser().parseFromString(`<body>${this.renderRichText(text, format)}</body>`, 'text/html');
+      const blockTags = ['P', 'DIV', 'UL', 'OL', 'LI'];
+
+      const flatten = (node) => {
+        if (node.nodeType === Node.TEXT_NODE) return node.textContent;
+        if (node.nodeType !== Node.ELEMENT_NODE) return '';
+        if (node.tagName === 'BR') return '\n';
+
+        let content = Array.from(node.childNodes).map(flatten).join('');
+
+        if (node.tagName === 'A') {
+          const href = node.getAttribute('href') || '';
+          if (href && href !== content) content += ` (${href.replace(/^mailto:/, '')})`;
+        }
+        if (node.tagName === 'LI') {
+          const parent = node.parentElement;
+          const marker = parent && parent.tagName === 'OL'
+            ? (Array.from(parent.children).indexOf(node) + 1) + '. '
+            : '• ';
+          content = marker + content;
+        }
+        // \u0000 marks a block boundary; runs of them become one line break.
+        // An empty block is an empty line (\u0001 until the breaks are merged).
+        if (!blockTags.includes(node.tagName)) return content;
+        return `\u0000${content || '\u0001'}\u0000`;
+      };
+
+      // A line break right before a block only ends the line, as in the
+      // browser; one right after a block is a line of its own
+      return flatten(doc.body)
+        .replace(/\n?\u0000+/g, '\n')
+        .replace(/\u0001/g, '')
+        .replace(/^\n+|\n+$/g, '');
+    }
+
+    // Rich HTML for insertion plus {cursor} offsets in the inserted text.
+    // Markers become private-use characters so they survive rendering, then
+    // are located in the rendered text and removed.
+    prepareRichInsert(text, format) {
+      const marked = text.replace(/\{cursor(?::(\d+))?\}/g, (token, order) => `\uE000${order || 0}\uE001`);
+
+      const container = document.createElement('div');
+      container.innerHTML = this.renderRichText(marked, format);
+
+      const stops = [];
+      let offset = 0;
+      const treeWalker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, null, false);
+      let node;
+
+      while ((node = treeWalker.nextNode())) {
+        const markerRegex = /\uE000(\d+)\uE001/g;
+        let clean = '';
+        let last = 0;
+        let marker;
+
+        while ((marker = markerRegex.exec(node.textContent)) !== null) {
+          clean += node.textContent.slice(last, marker.index);
+          stops.push({ order: parseInt(marker[1], 10), position: offset + clean.length });
+          last = marker.index + marker[0].length;
+        }
+        if (last > 0) node.textContent = clean + node.textContent.slice(last);
+        offset += node.length;
+      }
+
+      stops.sort((a, b) => a.order - b.order);
+      return { html: container.innerHTML, stops: stops.map(stop => stop.position) };
+    }
+
+    // Rich counterpart of replaceTextRange
+    replaceTextRangeWithHtml(element, start, end, html) {
+      element.focus();
+
+      const range = this.createTextRange(element, start, end);
+      if (!range) return false;
+
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(range);
+      if (document.execCommand('insertHTML', false, html)) return true;
+
+      // execCommand refused — splice the DOM at the range directly
+      range.deleteContents();
+      const fragment = range.createContextualFragment(html);
+      const lastNode = fragment.lastChild;
+      range.insertNode(fragment);
+      if (lastNode) range.setStartAfter(lastNode);
+      range.collapse(true);
+      selection.removeAllRanges();
+      selection.addRange(range);
+      element.dispatchEvent(new InputEvent('input', {
+        bubbles: true,
+        composed: true,
+        inputType: 'insertHTML'
+      }));
+      return true;
+    }
+
+    getPreviewHtml(text, format) {
+      const clean = this.extractCursorStops(text).text;
+      return format && format !== 'text' ? this.renderRichText(clean, format) : this.escapeHtml(clean);
+    }
+
+    handleKeydown(e) {
+      if (!this.siteEnabled) return;
+
+      // Hide preview on Escape
+      if (e.key === 'Escape') {
+        this.removePreview();
+        this.tabStops = null;
+      }
+
+      // Keys typed into the fill-in form belong to the form
+      if (this.isOwnElement(e.target)) return;
+      if (this.isSensitiveField(e.target)) return;
+
+      // The same keydown reaches several of our listeners (document capture +
+      // per-element), so only act on it once
+      if (e === this._handledKeyEvent) return;
+
+      // UNDO THE LAST EXPANSION with Backspace or Ctrl/Cmd+Z right after it
+      const isUndoKey = e.key === 'Backspace' ||
+        ((e.ctrlKey || e.metaKey) && !e.shiftKey && (e.key === 'z' || e.key === 'Z'));
+      if (isUndoKey && !this.previewElement && this.expansions.has(e.target)) {
+        if (this.undoExpansion(e.target)) {
+          e.preventDefault();
+          this._handledKeyEvent = e;
+          return;
+        }
+      } else if (!['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) {
+        // Anything else typed means the expansion was accepted
+        this.expansions.delete(e.target);
+      }
+
+      // INSERT ON AN ACCEPT KEY — from the preview, or straight away for the
+      // silent match of instant-expand mode
+      if (this.currentMatch && (this.previewElement || this.triggerSettings.instantExpand) && this.canInsert(this.currentMatch)) {
+        const match = this.currentMatch;
+        const suffix = this.getAcceptSuffix(e);
+        // Tab always moves into a fill-in form, whatever the accept keys
+        const opensForm = e.key === 'Tab' && match.fields;
+        const isDelimiter = suffix !== null && suffix !== '';
+        const takesDelimiter = this.takesDelimiter(match);
+
+        if (!this.previewElement && !this.getTriggerContext(match.target).endsWith(match.trigger)) {
+          // The caret moved away from a silent match
+          this.currentMatch = null;
+        } else if (opensForm || suffix === '' || (isDelimiter && takesDelimiter)) {
+          e.preventDefault();
+          this._handledKeyEvent = e;
+          this.replaceShortcut(isDelimiter ? suffix : '');
+          return;
+        }
+      }
+
+      // {choice:...} OPTIONS: ↑/↓ picks an option, ←/→ switches between choices
+      if (this.previewElement && this.currentMatch && this.currentMatch.choices) {
+        if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+          e.preventDefault();
+          this._handledKeyEvent = e;
+          this.cycleChoice(e.key === 'ArrowDown' ? 1 : -1);
+          return;
+        }
+        if ((e.key === 'ArrowLeft' || e.key === 'ArrowRight') && this.currentMatch.choices.length > 1) {
+          e.preventDefault();
+          this._handledKeyEvent = e;
+          this.switchActiveChoice(e.key === 'ArrowRight' ? 1 : -1);
+          return;
+        }
       }
 
-      // INSERT ON TAB KEY PRESS
-      if (e.key === 'Tab' && this.previewElement && this.currentMatch) {
+      // AUTOCOMPLETE DROPDOWN: ↑/↓ moves the highlight
+      if (this.previewElement && this.currentMatch && this.currentMatch.suggestions &&
+        (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
         e.preventDefault();
-        this.replaceShortcut();
+        this._handledKeyEvent = e;
+        this.moveSuggestion(e.key === 'ArrowDown' ? 1 : -1);
         return;
       }
 
-      // INSERT ON ENTER KEY PRESS
-      if (e.key === 'Enter' && this.previewElement && this.currentMatch) {
+      // CYCLE {cursor:N} TAB-STOPS of the last inserted snippet
+      if (e.key === 'Tab' && this.tabStops && this.tabStops.target === e.target &&
+        this.moveToTabStop(e.shiftKey ? -1 : 1)) {
         e.preventDefault();
-        this.replaceShortcut();
+        this._handledKeyEvent = e;
         return;
       }
 
@@ -518,13 +2919,13 @@
       if (!e.key) return;
 
       // Allow calculator operator keys without hiding preview
-      const isCalculatorKey = /[+\-*/%().]/.test(e.key);
+      const isCalculatorKey = /[+\-*/%().^,&|~<>]/.test(e.key);
 
       if (e.key !== ':' && !e.key.match(/[0-9]/) && e.key !== 'Backspace' && !isCalculatorKey) {
-        const value = this.getValue(e.target);
+        const value = this.getTriggerContext(e.target);
         if (value) {
-          const isShortcutPattern = value.match(/\/[a-zA-Z0-9]+(:?\d*)$/);
-          const isCalculatorPattern = value.match(/\/cal:.+$/);
+          const isShortcutPattern = value.match(this.triggerRegex('[a-zA-Z0-9]+(:?\\d*)$'));
+          const isCalculatorPattern = value.match(this.triggerRegex('(?:cal|conv|date):.+$'));
           if (!isShortcutPattern && !isCalculatorPattern) {
             this.removePreview();
           }
@@ -535,29 +2936,25 @@
       if (isCalculatorKey) {
         const target = e.target;
         setTimeout(() => {
-          const value = this.getValue(target);
-          const calMatch = value.match(/\/cal:([0-9+\-*/%().\s]+)$/);
-          if (calMatch) {
-            const expression = calMatch[1].trim();
-            const result = this.calculate(expression);
-            if (result !== null) {
-              this.removePreview();
-              this.currentMatch = {
-                target,
-                shortcutKey: '/cal',
-                count: 0,
-                position: this.getCaretPosition(target),
-                hasCount: false,
-                fullText: result.toString()
-              };
-              this.showPreview(target, '/cal', 0, expression + ' = ' + result);
-            }
+          const value = this.getTriggerContext(target);
+          const calMatch = value.match(this.triggerRegex('cal:(.+)$'));
+          if (calMatch && calMatch[1].trim()) {
+            this.offerCalculation(target, calMatch[1], calMatch[0]);
           }
         }, 0);
       }
     }
 
     handleClick(e) {
+      // Clicks inside the fill-in form are handled by the form itself
+      if (this.isOwnElement(e.target)) return;
+
+      // Clicking elsewhere on the page dismisses a child frame's preview
+      if (this.framePreview) {
+        this.relayToFrame(this.framePreview.frameId, { action: 'framePreviewDismissed' });
+        this.removeFramePreview();
+      }
+
       // If click is on preview (but not on the copy button)
       if (e.target.closest('.shortcut-preview')) {
         if (!e.target.closest('.copy-btn')) {
@@ -568,6 +2965,10 @@
       else if (this.previewElement && !this.previewElement.contains(e.target)) {
         this.removePreview();
       }
+      // A click moves the caret away from a silent (instant-expand) match
+      else if (!this.previewElement) {
+        this.currentMatch = null;
+      }
     }
 
     // NEW: Proper function to split emojis correctly
@@ -603,7 +3004,7 @@
       // Otherwise look up shortcut.
       let previewText = '';
 
-      if (directText) {
+      if (directText !== null) {
         previewText = directText;
       } else {
         const shortcut = this.shortcuts[shortcutKey];
@@ -621,14 +3022,56 @@
         }
       }
 
-      // Remove existing preview
+      // Remove existing preview — the match it is shown for stays
+      const match = this.currentMatch;
       this.removePreview();
+      this.currentMatch = match;
+
+      const { element, copyBtn } = this.buildPreviewBox(previewText, this.acceptingKeys(match));
+      this.previewElement = element;
+
+      // Add click listener for the whole preview (auto-insert)
+      this.previewElement.addEventListener('click', (e) => {
+        if (e.target !== copyBtn) {
+          e.stopPropagation();
+          this.replaceShortcut();
+        }
+      });
+
+      // Add click listener for COPY button
+      copyBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        // Copy the plain text that would be inserted, not the preview markup
+        const copyText = this.currentMatch && this.currentMatch.fullText
+          ? this.extractCursorStops(this.richToPlainText(this.currentMatch.fullText, this.currentMatch.format)).text
+          : previewText;
+        this.copyToClipboard(copyText, copyBtn);
+      });
+
+      // ALWAYS append to document.body with fixed positioning
+      // This bypasses all CSS stacking/overflow issues in complex apps
+      if (document.body) {
+        document.body.appendChild(this.previewElement);
+      } else {
+        return;
+      }
+
+      // Position it
+      this.positionAboveInput(inputElement);
+
+      // Focus the input back so Tab key works
+      inputElement.focus();
 
+      this.mirrorPreviewToTop(inputElement);
+    }
+
+    // The preview box: previewHtml on top, accept hint and copy button below
+    buildPreviewBox(previewHtml, acceptKeys) {
       // Create preview element with ALL INLINE STYLES for maximum compatibility
       // This ensures the preview works on ANY website (Google Sheets, Office, etc.)
-      this.previewElement = document.createElement('div');
-      this.previewElement.id = 'shortcut-helper-preview-root';
-      this.previewElement.style.cssText = `
+      const element = document.createElement('div');
+      element.id = 'shortcut-helper-preview-root';
+      element.style.cssText = `
         position: fixed !important;
         z-index: 2147483647 !important;
         background: white !important;
@@ -652,7 +3095,7 @@
       // Preview text
       const textDiv = document.createElement('div');
       textDiv.style.cssText = 'margin-bottom: 8px !important; word-break: break-word !important;';
-      textDiv.innerHTML = previewText;
+      textDiv.innerHTML = previewHtml;
 
       // Footer with hint + copy button
       const footerDiv = document.createElement('div');
@@ -668,7 +3111,9 @@
       `;
 
       const hintSpan = document.createElement('span');
-      hintSpan.innerHTML = 'Click or <kbd style="background:#f0f0f0;padding:1px 5px;border-radius:3px;border:1px solid #ddd;font-size:10px;">Tab</kbd> to insert';
+      // Nothing to insert (acceptKeys null) — no hint
+      const acceptHint = this.acceptKeyHint(acceptKeys, '<kbd style="background:#f0f0f0;padding:1px 5px;border-radius:3px;border:1px solid #ddd;font-size:10px;">');
+      hintSpan.innerHTML = !acceptKeys ? '' : acceptHint ? 'Click or ' + acceptHint + ' to insert' : 'Click to insert';
 
       const copyBtn = document.createElement('button');
       copyBtn.textContent = '📋 Copy';
@@ -684,36 +3129,296 @@
 
       footerDiv.appendChild(hintSpan);
       footerDiv.appendChild(copyBtn);
-      this.previewElement.appendChild(textDiv);
-      this.previewElement.appendChild(footerDiv);
+      element.appendChild(textDiv);
+      element.appendChild(footerDiv);
+      return { element, copyBtn };
+    }
 
-      // Add click listener for the whole preview (auto-insert)
-      this.previewElement.addEventListener('click', (e) => {
-        if (e.target !== copyBtn) {
+    // ===== CROSS-FRAME PREVIEWS =====
+    // An iframe (e.g. a help-desk widget) would clip its own preview, so
+    // child frames have the top frame draw a copy of it over the page. The
+    // child keeps its original, hidden, for keyboard handling and insertion.
+    mirrorPreviewToTop(inputElement) {
+      if (this.isTopFrame || !this.previewElement) return;
+
+      const token = this._mirrorSeq = (this._mirrorSeq || 0) + 1;
+      this.getFrameOffset().then(offset => {
+        // No answer from the parent frames — the local preview stays visible
+        if (!offset || token !== this._mirrorSeq || !this.previewElement) return;
+
+        const match = this.currentMatch;
+        const rect = inputElement.getBoundingClientRect();
+        this.relayToFrame(0, {
+          action: 'showFramePreview',
+          preview: this.describePreview(),
+          copyText: match && match.fullText
+            ? this.extractCursorStops(this.richToPlainText(match.fullText, match.format)).text
+            : '',
+          rect: {
+            top: rect.top + offset.y,
+            bottom: rect.bottom + offset.y,
+            left: rect.left + offset.x,
+            width: rect.width
+          }
+        });
+        this.previewElement.style.setProperty('visibility', 'hidden', 'important');
+        this.mirroredPreview = true;
+      });
+    }
+
+    // What the top frame needs to redraw this frame's preview. Text typed in
+    // the frame ends up in here, so the top frame treats the preview markup
+    // as untrusted and sanitizes it (see showFramePreview).
+    describePreview() {
+      const element = this.previewElement;
+      const match = this.currentMatch;
+
+      if (match && match.suggestions) {
+        return {
+          kind: 'suggestions',
+          items: Array.from(element.querySelectorAll('.suggestion-item')).map(item => ({
+            key: item.querySelector('.suggestion-key').textContent,
+            text: item.querySelector('.suggestion-text').textContent
+          })),
+          active: match.activeSuggestion,
+          acceptKeys: this.acceptingKeys(match)
+        };
+      }
+
+      if (element.classList.contains('field-form')) {
+        return {
+          kind: 'form',
+          fields: Array.from(element.querySelectorAll('.field-input')).map(input => ({
+            name: input.dataset.field,
+            placeholder: input.placeholder,
+            value: input.value
+          })),
+          choices: Array.from(element.querySelectorAll('.choice-select')).map(select => ({
+            options: Array.from(select.options, option => option.textContent),
+            selected: select.selectedIndex
+          })),
+          activeChoice: (match && match.activeChoice) || 0,
+          html: element.querySelector('.preview-text').innerHTML,
+          acceptKeys: this.acceptingKeys(match)
+        };
+      }
+
+      return { kind: 'preview', html: element.firstElementChild.innerHTML, acceptKeys: this.acceptingKeys(match) };
+    }
+
+    // Send a message to another frame of this tab (0 = top frame) via the
+    // background — cross-origin frames can't reach each other's scripts
+    relayToFrame(frameId, message) {
+      chrome.runtime.sendMessage({ action: 'relayToFrame', frameId, message });
+    }
+
+    // Offset of this frame's viewport in the top page. Every parent adds the
+    // position of the <iframe> it knows; null when a parent doesn't answer.
+    getFrameOffset() {
+      if (this.isTopFrame) return Promise.resolve({ x: 0, y: 0 });
+
+      return new Promise(resolve => {
+        const id = Math.random().toString(36).slice(2);
+        const onMessage = (e) => {
+          if (e.source !== window.parent || !e.data || e.data.shortcutHelper !== 'frame-offset' || e.data.id !== id) return;
+          clearTimeout(timer);
+          window.removeEventListener('message', onMessage);
+          resolve({ x: e.data.x, y: e.data.y });
+        };
+        const timer = setTimeout(() => {
+          window.removeEventListener('message', onMessage);
+          resolve(null);
+        }, 500);
+
+        window.addEventListener('message', onMessage);
+        window.parent.postMessage({ shortcutHelper: 'frame-offset-request', id }, '*');
+      });
+    }
+
+    handleFrameMessage(e) {
+      if (!e.data || e.data.shortcutHelper !== 'frame-offset-request' || !e.source) return;
+
+      const iframe = Array.from(document.querySelectorAll('iframe, frame'))
+        .find(frame => frame.contentWindow === e.source);
+      if (!iframe) return;
+
+      const rect = iframe.getBoundingClientRect();
+      this.getFrameOffset().then(offset => {
+        if (!offset) return;
+        e.source.postMessage({
+          shortcutHelper: 'frame-offset',
+          id: e.data.id,
+          x: offset.x + rect.left + iframe.clientLeft,
+          y: offset.y + rect.top + iframe.clientTop
+        }, '*');
+      });
+    }
+
+    // Top frame: draw a child frame's preview at its position on the page.
+    // Everything is rebuilt here from plain data — preview markup only goes
+    // through sanitizeHtml, so a frame can't get script into this page.
+    showFramePreview({ preview, copyText, rect, sourceFrameId }) {
+      if (!preview) return;
+
+      // A mirrored form being filled in is updated in place, so focus and
+      // typing in it aren't lost
+      const current = this.framePreview;
+      if (current && current.frameId === sourceFrameId && current.kind === 'form' &&
+        preview.kind === 'form' && this.updateFrameForm(current.element, preview)) {
+        return;
+      }
+
+      this.removeFramePreview();
+      this.ensureShadowDom();
+      if (!this.shadowRoot) return;
+      this.addImprovedStyles();
+
+      const relay = (message) => this.relayToFrame(sourceFrameId, message);
+      let element;
+
+      if (preview.kind === 'suggestions') {
+        element = this.buildSuggestionList(preview.items || [], this.frameAcceptKeys(preview));
+        element.querySelectorAll('.suggestion-item').forEach((item, index) => {
+          item.classList.toggle('active', index === preview.active);
+          item.addEventListener('click', (e) => {
+            e.stopPropagation();
+            relay({ action: 'framePreviewClicked', index });
+          });
+        });
+      } else if (preview.kind === 'form') {
+        element = this.buildFrameForm(preview, relay);
+      } else {
+        const box = this.buildPreviewBox(this.sanitizeHtml(preview.html || ''), this.frameAcceptKeys(preview));
+        element = box.element;
+
+        // Keep focus (and the caret) in the frame's input while clicking
+        element.addEventListener('mousedown', (e) => e.preventDefault());
+        element.addEventListener('click', (e) => {
           e.stopPropagation();
-          this.replaceShortcut();
-        }
+          if (e.target === box.copyBtn) {
+            this.copyToClipboard(copyText, box.copyBtn);
+          } else {
+            relay({ action: 'framePreviewClicked', index: null });
+          }
+        });
+      }
+
+      this.shadowRoot.appendChild(element);
+      this.framePreview = { element, frameId: sourceFrameId, kind: preview.kind };
+      this.positionAboveRect(element, rect);
+    }
+
+    // A child frame's accept keys, for the mirrored hints
+    frameAcceptKeys(preview) {
+      return Array.isArray(preview.acceptKeys) ? preview.acceptKeys.filter(key => typeof key === 'string') : null;
+    }
+
+    // The fill-in form of a child frame. Its controls work up here: values
+    // and choices are sent to the frame, which keeps the real form in sync
+    // and does the inserting.
+    buildFrameForm(preview, relay) {
+      const { form, previewText } = this.buildTemplateForm(
+        (preview.fields || []).map(field => ({ name: field.name, placeholder: field.placeholder })),
+        (preview.choices || []).map(choice => ({ options: choice.options, selected: choice.selected })),
+        this.frameAcceptKeys(preview)
+      );
+      this.updateFrameForm(form, preview);
+      previewText.innerHTML = this.sanitizeHtml(preview.html || '');
+
+      form.addEventListener('input', (e) => {
+        if (!e.target.classList.contains('field-input')) return;
+        relay({ action: 'framePreviewInput', field: e.target.dataset.field, value: e.target.value });
+      });
+      form.addEventListener('change', (e) => {
+        if (!e.target.classList.contains('choice-select')) return;
+        relay({ action: 'framePreviewInput', choice: Number(e.target.dataset.choice), selected: e.target.selectedIndex });
       });
 
-      // Add click listener for COPY button
-      copyBtn.addEventListener('click', (e) => {
+      // Keep keystrokes away from the page's own shortcuts
+      form.addEventListener('keydown', (e) => {
         e.stopPropagation();
-        this.copyToClipboard(previewText);
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          relay({ action: 'framePreviewDismissed' });
+          this.removeFramePreview();
+        }
+        // Selects don't submit on Enter by themselves
+        if (e.key === 'Enter' && e.target.tagName === 'SELECT') {
+          e.preventDefault();
+          form.requestSubmit();
+        }
       });
 
-      // ALWAYS append to document.body with fixed positioning
-      // This bypasses all CSS stacking/overflow issues in complex apps
-      if (document.body) {
-        document.body.appendChild(this.previewElement);
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        relay({ action: 'framePreviewSubmitted' });
+      });
+      return form;
+    }
+
+    // Bring a mirrored form up to date with the frame's. The control being
+    // typed in keeps its value. False when the form's shape changed.
+    updateFrameForm(form, preview) {
+      const inputs = form.querySelectorAll('.field-input');
+      const selects = form.querySelectorAll('.choice-select');
+      const fields = preview.fields || [];
+      const choices = preview.choices || [];
+      if (inputs.length !== fields.length || selects.length !== choices.length) return false;
+      if (fields.some((field, index) => inputs[index].dataset.field !== field.name)) return false;
+
+      const focused = this.shadowRoot && this.shadowRoot.activeElement;
+      fields.forEach((field, index) => {
+        if (inputs[index] !== focused) inputs[index].value = field.value;
+      });
+      choices.forEach((choice, index) => {
+        selects[index].selectedIndex = choice.selected;
+      });
+      form.querySelectorAll('.choice-row').forEach((row, index) => {
+        row.classList.toggle('active', index === preview.activeChoice);
+      });
+      form.querySelector('.preview-text').innerHTML = this.sanitizeHtml(preview.html || '');
+      return true;
+    }
+
+    removeFramePreview(frameId = null) {
+      if (!this.framePreview) return;
+      if (frameId !== null && frameId !== this.framePreview.frameId) return;
+      this.framePreview.element.remove();
+      this.framePreview = null;
+    }
+
+    // Child frame: its preview was clicked in the top frame's mirror
+    handleFramePreviewClick({ index }) {
+      if (!this.currentMatch) return;
+      if (index !== null && this.currentMatch.suggestions) {
+        this.acceptSuggestion(index);
       } else {
-        return;
+        this.replaceShortcut();
       }
+    }
 
-      // Position it
-      this.positionAboveInput(inputElement);
+    // Child frame: a field or choice was changed in the top frame's mirror.
+    // The change goes through the real form, which updates the mirror back.
+    handleFramePreviewInput({ field, value, choice, selected }) {
+      const form = this.previewElement;
+      if (!form || !form.classList.contains('field-form')) return;
+
+      if (field !== undefined) {
+        const input = Array.from(form.querySelectorAll('.field-input')).find(el => el.dataset.field === field);
+        if (!input) return;
+        input.value = value;
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+      } else {
+        const select = form.querySelectorAll('.choice-select')[choice];
+        if (!select) return;
+        select.selectedIndex = selected;
+        select.dispatchEvent(new Event('change', { bubbles: true }));
+      }
+    }
 
-      // Focus the input back so Tab key works
-      inputElement.focus();
+    handleFramePreviewSubmit() {
+      const form = this.previewElement;
+      if (form && form.classList.contains('field-form')) form.requestSubmit();
     }
 
     ensureShadowDom() {
@@ -729,7 +3434,7 @@
         this.shadowHost.style.position = 'absolute';
         this.shadowHost.style.top = '0';
         this.shadowHost.style.left = '0';
-        this.shadowHost.style.zIndex = '9999999999';
+        this.shadowHost.style.zIndex = '2147483647';
         this.shadowHost.style.pointerEvents = 'none';
 
         document.body.appendChild(this.shadowHost);
@@ -842,63 +3547,149 @@
         transform: translateY(-1px);
         box-shadow: 0 4px 10px rgba(79, 70, 229, 0.2);
       }
+
+      .field-form {
+        cursor: default;
+      }
+
+      .field-form .preview-footer {
+        justify-content: space-between;
+      }
+
+      .field-row {
+        display: flex;
+        flex-direction: column;
+        gap: 4px;
+      }
+
+      .field-label {
+        font-size: 12px;
+        font-weight: 600;
+        color: #475569;
+      }
+
+      .field-input {
+        font-family: inherit;
+        font-size: 13px;
+        padding: 6px 10px;
+        border: 1.5px solid #e2e8f0;
+        border-radius: 8px;
+        outline: none;
+        color: #1e293b;
+        background: #ffffff;
+      }
+
+      .field-input:focus,
+      .choice-select:focus {
+        border-color: #6366f1;
+        box-shadow: 0 0 0 3px rgba(99, 102, 241, 0.1);
+      }
+
+      .choice-select {
+        font-family: inherit;
+        font-size: 13px;
+        padding: 6px 10px;
+        border: 1.5px solid #e2e8f0;
+        border-radius: 8px;
+        outline: none;
+        color: #1e293b;
+        background: #ffffff;
+        cursor: pointer;
+      }
+
+      .suggestions {
+        padding: 8px;
+        max-height: 320px;
+        overflow-y: auto;
+      }
+
+      .suggestion-item {
+        display: flex;
+        flex-direction: column;
+        gap: 2px;
+        padding: 8px 10px;
+        border-radius: 10px;
+      }
+
+      .suggestion-item.active {
+        background: #eef2ff;
+      }
+
+      .suggestion-key {
+        font-family: monospace;
+        font-size: 13px;
+        font-weight: 700;
+        color: #4f46e5;
+      }
+
+      .suggestion-text {
+        font-size: 12px;
+        color: #64748b;
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      }
+
+      .suggestion-hint {
+        padding: 8px 10px 2px;
+        border-top: 1px solid #f1f5f9;
+        margin-top: 4px;
+      }
+
+      .choice-row.active .field-label {
+        color: #4f46e5;
+      }
+
+      .choice-row.active .choice-select {
+        border-color: #6366f1;
+      }
     `;
 
       this.shadowRoot.appendChild(style);
     }
 
     // Copy text to clipboard
-    async copyToClipboard(text) {
+    // Feedback goes on the button that was clicked — the frame preview's own
+    // or the top frame's mirror of it
+    async copyToClipboard(text, copyBtn) {
+      let label = '✅ Copied';
+      let color = '16, 185, 129';
       try {
         await navigator.clipboard.writeText(text);
-
-        // Show success feedback
-        const copyBtn = this.previewElement.querySelector('.copy-btn');
-        const originalHTML = copyBtn.innerHTML;
-        copyBtn.innerHTML = '✅ Copied';
-        copyBtn.style.background = 'rgba(16, 185, 129, 0.3)';
-        copyBtn.style.borderColor = 'rgba(16, 185, 129, 0.6)';
-
-        // Revert after 1.5 seconds
-        setTimeout(() => {
-          // Check if element still exists in shadow DOM
-          if (copyBtn && this.previewElement && this.shadowRoot.contains(this.previewElement)) {
-            copyBtn.innerHTML = originalHTML;
-            copyBtn.style.background = '';
-            copyBtn.style.borderColor = '';
-          }
-        }, 1500);
-
       } catch (error) {
         console.error('Failed to copy:', error);
+        label = '❌ Error';
+        color = '239, 68, 68';
+      }
 
-        // Show error feedback
-        const copyBtn = this.previewElement.querySelector('.copy-btn');
-        if (copyBtn) {
-          copyBtn.innerHTML = '❌ Error';
-          copyBtn.style.background = 'rgba(239, 68, 68, 0.3)';
-          copyBtn.style.borderColor = 'rgba(239, 68, 68, 0.6)';
-
-          setTimeout(() => {
-            if (copyBtn && this.previewElement && this.shadowRoot.contains(this.previewElement)) {
-              copyBtn.innerHTML = '📋 Copy';
-              copyBtn.style.background = '';
-              copyBtn.style.borderColor = '';
-            }
-          }, 1500);
+      const originalHTML = copyBtn.innerHTML;
+      copyBtn.innerHTML = label;
+      copyBtn.style.background = `rgba(${color}, 0.3)`;
+      copyBtn.style.borderColor = `rgba(${color}, 0.6)`;
+
+      // Revert after 1.5 seconds, if the preview is still up
+      setTimeout(() => {
+        if (copyBtn.isConnected) {
+          copyBtn.innerHTML = originalHTML;
+          copyBtn.style.background = '';
+          copyBtn.style.borderColor = '';
         }
-      }
+      }, 1500);
     }
 
     // IMPROVED: Always position above input
     positionAboveInput(inputElement) {
-      const rect = inputElement.getBoundingClientRect();
+      this.positionAboveRect(this.previewElement, inputElement.getBoundingClientRect());
+    }
+
+    // Place an overlay above (or below) a viewport rect
+    positionAboveRect(element, rect) {
       const scrollY = window.scrollY;
       const scrollX = window.scrollX;
 
       // Calculate preview height dynamically
       // Note: Since it's in shadow DOM, we might need to wait for render or use fixed assumptions first
-      const previewHeight = this.previewElement.offsetHeight || 160;
+      const previewHeight = element.offsetHeight || 160;
 
       // Always position ABOVE the input
       let top = rect.top + scrollY - previewHeight - 10; // 10px gap above
@@ -928,18 +3719,18 @@
 
       // Use fixed positioning relative to viewport for maximum compatibility
       // This works even in complex apps like Google Sheets with nested scroll containers
-      this.previewElement.style.position = 'fixed';
-      this.previewElement.style.top = `${rect.top - previewHeight - 10}px`;
+      element.style.position = 'fixed';
+      element.style.top = `${rect.top - previewHeight - 10}px`;
 
       // If not enough space above, position below
       if (rect.top < previewHeight + 20) {
-        this.previewElement.style.top = `${rect.bottom + 10}px`;
+        element.style.top = `${rect.bottom + 10}px`;
       }
 
-      this.previewElement.style.left = `${left - scrollX}px`; // Convert to viewport coords for fixed
-      this.previewElement.style.zIndex = '2147483647'; // Maximum z-index
-      this.previewElement.style.maxWidth = `${previewWidth}px`;
-      this.previewElement.style.pointerEvents = 'auto'; // Allow clicks on preview
+      element.style.left = `${left - scrollX}px`; // Convert to viewport coords for fixed
+      element.style.zIndex = '2147483647'; // Maximum z-index
+      element.style.maxWidth = `${previewWidth}px`;
+      element.style.pointerEvents = 'auto'; // Allow clicks on preview
     }
 
     removePreview() {
@@ -948,65 +3739,172 @@
         this.previewElement = null;
         this.currentMatch = null;
       }
+
+      // Take down the top frame's mirror too (and any mirror still on its way)
+      this._mirrorSeq = (this._mirrorSeq || 0) + 1;
+      if (this.mirroredPreview) {
+        this.mirroredPreview = false;
+        chrome.runtime.sendMessage({ action: 'relayToFrame', frameId: 0, message: { action: 'hideFramePreview' } });
+      }
     }
 
-    async replaceShortcut() {
+    // `suffix` is the delimiter that accepted the match (space/punctuation),
+    // typed after the expansion in its place
+    async replaceShortcut(suffix = '') {
       if (!this.currentMatch) return;
 
-      const { target, shortcutKey, count, fullText } = this.currentMatch;
+      // Autocomplete dropdown — accept the highlighted suggestion
+      if (this.currentMatch.suggestions) {
+        this.acceptSuggestion();
+        return;
+      }
+
+      // Fill-in fields must be completed first — Tab/Enter/click moves into the form
+      if (this.currentMatch.fields) {
+        this.focusTemplateForm();
+        return;
+      }
+
+      // Choices without fields are inserted as currently selected in the overlay
+      if (this.currentMatch.choices) {
+        this.currentMatch.fullText = this.applyCase(
+          this.fillChoices(this.currentMatch.fullText, this.currentMatch.choices), this.currentMatch.caseMode);
+        this.currentMatch.choices = null;
+      }
+
+      const match = this.currentMatch;
+      const { target, shortcutKey, count, fullText, calc, counter } = match;
       const shortcut = this.shortcuts[shortcutKey];
 
       // If it's a special command or valid shortcut
-      if (!shortcut && shortcutKey !== '/lorem' && shortcutKey !== '/cal') {
+      if (!shortcut && !['/lorem', '/cal', '/conv', '/date', '/uuid', '/rand', '/pass', '/seq'].includes(shortcutKey)) {
         this.removePreview();
         return;
       }
+      if (!this.canInsert(match)) return;
 
       // Use the pre-generated text
-      const finalText = fullText || this.generateText(shortcutKey, count);
+      let finalText = fullText || this.generateText(shortcutKey, count);
+
+      // The /seq number in the preview was only a peek — take the real one
+      if (counter) {
+        if (match.reserving) return;
+        match.reserving = true;
+        const reserved = await this.reserveCounter(counter).catch(err => err);
+        if (this.currentMatch !== match) return; // dismissed while waiting
+
+        if (reserved instanceof Error) {
+          match.fullText = '';
+          match.counter = null;
+          this.showPreview(target, shortcutKey, 0, '<span style="color:#ff4444;font-weight:bold;font-size:14px;">⚠️ Error: ' + this.escapeHtml(reserved.message) + '</span>');
+          this.currentMatch = match;
+          return;
+        }
+        finalText = reserved;
+      }
 
-      // Get current value and replace shortcut
-      let currentValue = this.getValue(target);
+      // The trigger sits right before the caret. If the caret left the editor
+      // (e.g. the preview was clicked) use where it was at match time.
+      const caret = this.isCaretInside(target) ? this.getCaretPosition(target) : this.currentMatch.position;
+      const textBeforeInsert = this.getPlainText(target);
+      const textBeforeCaret = this.getTextBeforeCaret(target, caret);
 
       // FIXED: Handle different patterns
       let shortcutPattern;
       if (shortcutKey === '/cal') {
-        const value = this.getValue(target);
-        const match = value.match(/\/cal:(.+)$/);
-        shortcutPattern = match ? match[0] : '/cal';
+        const match = textBeforeCaret.match(this.triggerRegex('cal:(.+)$'));
+        shortcutPattern = match ? match[0] : this.currentMatch.trigger;
+      } else if (this.currentMatch.trigger) {
+        shortcutPattern = this.currentMatch.trigger; // As typed, with the configured prefix
       } else if (count > 0) {
         shortcutPattern = `${shortcutKey}:${count}`;
       } else {
         shortcutPattern = shortcutKey; // Just the shortcut without :count
       }
-
-      const startIndex = currentValue.lastIndexOf(shortcutPattern);
+      const startIndex = textBeforeCaret.endsWith(shortcutPattern)
+        ? caret - shortcutPattern.length
+        : this.getPlainText(target).lastIndexOf(shortcutPattern); // last resort: caret moved away
 
       if (startIndex !== -1) {
-        const newValue = currentValue.substring(0, startIndex) +
-          finalText +
-          currentValue.substring(startIndex + shortcutPattern.length);
+        const format = (shortcut && shortcut.format) || 'text';
+        let caretStops;
+
+        if (format !== 'text' && target.isContentEditable) {
+          // Rich snippet into a rich editor — insert as HTML
+          const { html, stops } = this.prepareRichInsert(finalText, format);
+          this.replaceTextRangeWithHtml(target, startIndex, startIndex + shortcutPattern.length, html + this.escapeHtml(suffix));
+          caretStops = stops.map(offset => startIndex + offset);
+        } else {
+          // Strip {cursor} markers, remembering where they were. Rich snippets
+          // going into <input>/<textarea> are flattened to plain text first.
+          const { text: insertText, stops } = this.extractCursorStops(this.richToPlainText(finalText, format));
+
+          // Only the trigger is replaced — surrounding text and formatting stay
+          this.replaceTextRange(target, startIndex, startIndex + shortcutPattern.length, insertText + suffix);
+
+          // Editors turn "\n" into <br>/<div>, which has no length in text
+          // offsets — drop newlines from marker offsets when that happened
+          const dropsNewlines = target.isContentEditable &&
+            this.getCaretPosition(target) !== startIndex + insertText.length + suffix.length;
+          const toCaretOffset = (offset) => startIndex +
+            (dropsNewlines ? insertText.slice(0, offset).replace(/\n/g, '').length : offset);
+          caretStops = stops.map(toCaretOffset);
+        }
 
-        this.setValue(target, newValue);
+        // The caret is after the inserted text — that end bounds the tab-stops
+        const snippetEnd = this.getCaretPosition(target);
 
-        // Set cursor position after inserted text
-        const newCursorPos = startIndex + finalText.length;
-        this.setCaretPosition(target, newCursorPos);
+        // Set cursor at the first marker (otherwise it is already after the inserted text)
+        if (caretStops.length > 0) {
+          this.setCaretPosition(target, caretStops[0]);
+        }
 
-        // Dispatch input event to trigger any website listeners
-        const inputEvent = new Event('input', { bubbles: true, composed: true });
-        target.dispatchEvent(inputEvent);
+        // All markers stay tab-stops (both directions) until the caret
+        // leaves the snippet
+        this.tabStops = caretStops.length > 1
+          ? { target, positions: caretStops, index: 0, end: snippetEnd, length: this.getValue(target).length }
+          : null;
+
+        // Remember the expansion so Backspace / Ctrl+Z right after can undo it
+        const textAfterInsert = this.getPlainText(target);
+        this.expansions.set(target, {
+          start: startIndex,
+          length: textAfterInsert.length - (textBeforeInsert.length - shortcutPattern.length),
+          trigger: shortcutPattern + suffix,
+          snapshot: textAfterInsert
+        });
 
-        // Dispatch change event for form inputs
-        const changeEvent = new Event('change', { bubbles: true, composed: true });
-        target.dispatchEvent(changeEvent);
+        if (calc) this.rememberCalculation(calc);
       }
 
       this.removePreview();
     }
 
+    // ===== EDITOR ADAPTERS =====
+    // The adapter (editor-adapters.js) for the editor an element belongs to
+    getEditor(element) {
+      const registry = window.ShortcutEditorAdapters;
+      return registry && element ? registry.find(element) : null;
+    }
+
+    // Run an adapter method for the element's editor. null when there is no
+    // adapter/method or it couldn't handle the call — use the generic code then.
+    callEditor(element, method, ...args) {
+      const editor = this.getEditor(element);
+      if (!editor || typeof editor.adapter[method] !== 'function') return null;
+      try {
+        const result = editor.adapter[method](editor.root, ...args);
+        return result === undefined || result === false ? null : result;
+      } catch (e) {
+        return null;
+      }
+    }
+
     // Helper methods for different input types
     getValue(element) {
+      const editorText = this.callEditor(element, 'getText');
+      if (editorText !== null) return editorText;
+
       if (element.isContentEditable) {
         // For contenteditable, trim trailing whitespace/newlines
         // (Google Sheets, Docs etc. add trailing \n to innerText)
@@ -1050,7 +3948,133 @@
       element.focus();
     }
 
+    // Text in the same offset space as getCaretPosition/setCaretPosition
+    getPlainText(element) {
+      const editorText = this.callEditor(element, 'getText');
+      if (editorText !== null) return editorText;
+
+      if (element.isContentEditable) return element.textContent || '';
+      return element.value || '';
+    }
+
+    // Text from the start of the field up to the caret. Falls back to the
+    // whole value when the caret is elsewhere (e.g. polled, unfocused editors)
+    // or the input type has no selection API.
+    getTriggerContext(element) {
+      if (!element.isContentEditable && typeof element.selectionStart !== 'number') {
+        return this.getValue(element);
+      }
+      if (!this.isCaretInside(element)) return this.getValue(element);
+      return this.getTextBeforeCaret(element, this.getCaretPosition(element));
+    }
+
+    getTextBeforeCaret(element, caret) {
+      const editorText = this.callEditor(element, 'getText');
+      if (editorText !== null) return editorText.substring(0, caret);
+
+      if (element.isContentEditable) {
+        const range = this.createTextRange(element, 0, caret);
+        return range ? range.toString() : '';
+      }
+      return (element.value || '').substring(0, caret);
+    }
+
+    isCaretInside(element) {
+      if (element.isContentEditable) {
+        const selection = window.getSelection();
+        return selection.rangeCount > 0 && element.contains(selection.getRangeAt(0).endContainer);
+      }
+      return document.activeElement === element || element.getRootNode().activeElement === element;
+    }
+
+    // DOM Range covering text offsets [start, end) of a contenteditable
+    createTextRange(element, start, end) {
+      const range = document.createRange();
+      const treeWalker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, null, false);
+      let charCount = 0;
+      let startSet = false;
+      let node;
+
+      while ((node = treeWalker.nextNode())) {
+        const nextCharCount = charCount + node.length;
+        if (!startSet && start <= nextCharCount) {
+          range.setStart(node, start - charCount);
+          startSet = true;
+        }
+        if (startSet && end <= nextCharCount) {
+          range.setEnd(node, end - charCount);
+          return range;
+        }
+        charCount = nextCharCount;
+      }
+
+      // Empty editor — a collapsed range at its start
+      if (start === 0 && end === 0) {
+        range.setStart(element, 0);
+        range.collapse(true);
+        return range;
+      }
+      return null;
+    }
+
+    // Replace text offsets [start, end) the way typing would: only that span
+    // changes, formatting around it survives and the editor's undo stack
+    // (Ctrl+Z) keeps working. execCommand('insertText') goes through the
+    // editor's own beforeinput/input handling, so Gmail, Notion, Slack etc.
+    // update their models too.
+    replaceTextRange(element, start, end, text) {
+      // Editors with their own document model insert through their API
+      if (this.callEditor(element, 'replaceRange', start, end, text)) return true;
+      if (end === this.getCaretPosition(element) &&
+        this.callEditor(element, 'replaceBeforeCaret', end - start, text)) return true;
+
+      element.focus();
+
+      if (element.isContentEditable) {
+        const range = this.createTextRange(element, start, end);
+        if (!range) return false;
+
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+        if (document.execCommand('insertText', false, text)) return true;
+
+        // execCommand refused — splice the DOM at the range directly
+        range.deleteContents();
+        const textNode = document.createTextNode(text);
+        range.insertNode(textNode);
+        range.setStartAfter(textNode);
+        range.collapse(true);
+        selection.removeAllRanges();
+        selection.addRange(range);
+        element.dispatchEvent(new InputEvent('input', {
+          bubbles: true,
+          composed: true,
+          inputType: 'insertText',
+          data: text
+        }));
+        return true;
+      }
+
+      try {
+        element.setSelectionRange(start, end);
+        if (!document.execCommand('insertText', false, text)) {
+          element.setRangeText(text, start, end, 'end');
+          element.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+        }
+        element.dispatchEvent(new Event('change', { bubbles: true, composed: true }));
+      } catch (e) {
+        // Input types without selection support (email, number...)
+        const value = element.value || '';
+        this.setValue(element, value.substring(0, start) + text + value.substring(end));
+      }
+      return true;
+    }
+
     getCaretPosition(element) {
+      const editorCaret = this.callEditor(element, 'getCaret');
+      if (editorCaret !== null) return editorCaret;
+
       if (element.isContentEditable) {
         const selection = window.getSelection();
         if (selection.rangeCount > 0) {
@@ -1066,6 +4090,8 @@
     }
 
     setCaretPosition(element, position) {
+      if (this.callEditor(element, 'setCaret', position)) return;
+
       if (element.isContentEditable) {
         const range = document.createRange();
         const selection = window.getSelection();
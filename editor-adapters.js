@@ -0,0 +1,239 @@
+// Editor adapters for the content script
+// Each adapter teaches content.js how to find, read and write text in one
+// kind of editor. Adding support for a new editor means registering one more
+// adapter here — the input handling in content.js stays untouched.
+//
+// Adapter fields (everything except name is optional):
+//   name                       unique id
+//   selectors                  editor elements to check when events can't be trusted
+//   hosts                      hostnames whose pages always need the polling fallback
+//   pollingFallback            editor swallows input events — poll briefly after keystrokes
+//   pageBridge                 talks to the editor through page-bridge.js
+//   detect(el)                 editor root for an element inside the editor, or null
+//   getText(root)              full text; the offsets below index into it
+//   getCaret(root)             caret offset
+//   setCaret(root, offset)     returns true when handled
+//   replaceRange(root, start, end, text)       returns true when handled
+//   replaceBeforeCaret(root, length, text)     same, for the text just before the caret
+//
+// A method that is missing or returns null/false falls back to the generic
+// <input>/<textarea>/contenteditable code.
+(function () {
+  'use strict';
+
+  // Shared with re-injected copies of this file
+  if (window.ShortcutEditorAdapters) return;
+
+  const adapters = [];
+
+  // ===== PAGE BRIDGE =====
+  // Editor objects (CodeMirror, Monaco, ProseMirror views) only exist in the
+  // page's own JavaScript world. page-bridge.js runs there and answers these
+  // DOM events synchronously, so a call returns its result right away.
+  // The background installs it in this frame on first use; until then calls
+  // return null and the generic code handles the editor.
+  //
+  // The bridge shares its world with the page's scripts, which can hook
+  // addEventListener/dispatchEvent, read the nonce and answer in its place.
+  // The nonce only keeps other extensions' and pages' events apart; replies
+  // are untrusted and anything malformed or out of range counts as no answer.
+  let bridgeNonce = null;     // set once the bridge is installed
+  let bridgeRequested = false;
+
+  function randomHex(byteCount) {
+    const bytes = crypto.getRandomValues(new Uint8Array(byteCount));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  const isOffset = (value) => Number.isSafeInteger(value) && value >= 0;
+
+  // What each operation may answer
+  const validReplies = {
+    getText: (result) => typeof result === 'string',
+    getCaret: isOffset,
+    setCaret: (result) => result === true,
+    replaceRange: (result) => result === true,
+    replaceBeforeCaret: (result) => result === true
+  };
+
+  function ensurePageBridge() {
+    if (bridgeRequested) return;
+    bridgeRequested = true;
+
+    const nonce = randomHex(16);
+    chrome.runtime.sendMessage({ action: 'injectPageBridge', nonce }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) return;
+      bridgeNonce = nonce;
+    });
+  }
+
+  function callPageBridge(root, op, args = {}) {
+    if (!bridgeNonce) {
+      ensurePageBridge();
+      return null;
+    }
+
+    const id = randomHex(8);
+    const nonce = bridgeNonce;
+    let response = null;
+
+    const onResponse = (e) => {
+      try {
+        const data = JSON.parse(e.detail);
+        if (data.id === id && data.nonce === nonce) response = data;
+      } catch (err) {
+        // Not one of ours
+      }
+    };
+
+    root.setAttribute('data-shortcut-bridge', id);
+    document.addEventListener('shortcut-helper:bridge-response:' + nonce, onResponse);
+    try {
+      document.dispatchEvent(new CustomEvent('shortcut-helper:bridge-request:' + nonce, {
+        detail: JSON.stringify({ id, op, ...args })
+      }));
+    } finally {
+      document.removeEventListener('shortcut-helper:bridge-response:' + nonce, onResponse);
+      root.removeAttribute('data-shortcut-bridge');
+    }
+
+    // The editor instance wasn't found, or the reply makes no sense
+    if (!response || response.ok !== true) return null;
+    const isValid = validReplies[op];
+    return isValid && isValid(response.result) ? response.result : null;
+  }
+
+  // Adapter methods for editors with their own text model, via the bridge
+  function bridgedModel(editor) {
+    return {
+      pageBridge: true,
+      getText: (root) => callPageBridge(root, 'getText', { editor }),
+      getCaret: (root) => {
+        const caret = callPageBridge(root, 'getCaret', { editor });
+        const text = caret === null ? null : callPageBridge(root, 'getText', { editor });
+        return text !== null && caret <= text.length ? caret : null;
+      },
+      setCaret: (root, offset) => callPageBridge(root, 'setCaret', { editor, offset }),
+      replaceRange: (root, start, end, text) => callPageBridge(root, 'replaceRange', { editor, start, end, text })
+    };
+  }
+
+  function register(adapter) {
+    if (!adapter || !adapter.name) throw new Error('Editor adapter needs a name');
+    const existing = adapters.findIndex(item => item.name === adapter.name);
+    if (existing !== -1) adapters.splice(existing, 1);
+    adapters.push(adapter);
+  }
+
+  // First adapter claiming the element, with the editor root it found
+  function find(el) {
+    if (!el || !el.closest) return null;
+    for (const adapter of adapters) {
+      const root = adapter.detect ? adapter.detect(el) : null;
+      if (root) {
+        if (adapter.pageBridge) ensurePageBridge();
+        return { adapter, root };
+      }
+    }
+    return null;
+  }
+
+  function selectors() {
+    return adapters.flatMap(adapter => adapter.selectors || []);
+  }
+
+  function needsPolling(el, hostname) {
+    return adapters.some(adapter => {
+      if (!adapter.pollingFallback) return false;
+      const hosts = adapter.hosts || [];
+      if (hosts.some(host => hostname === host || hostname.endsWith('.' + host))) return true;
+      return !!(el && el.closest && adapter.selectors && adapter.selectors.length &&
+        el.closest(adapter.selectors.join(', ')));
+    });
+  }
+
+  window.ShortcutEditorAdapters = { register, find, selectors, needsPolling, callPageBridge };
+
+  // ===== BUILT-IN ADAPTERS =====
+
+  // Google Sheets cell editor and formula bar
+  register({
+    name: 'google-sheets',
+    selectors: [
+      '#waffle-rich-text-editor',
+      '.cell-input',
+      '.waffle-cell-editor',
+      '[role="combobox"][contenteditable]'
+    ],
+    hosts: ['docs.google.com'],
+    pollingFallback: true,
+    detect: (el) => el.closest('#waffle-rich-text-editor, .cell-input, .waffle-cell-editor')
+  });
+
+  // Google Docs types into a hidden iframe
+  register({
+    name: 'google-docs',
+    selectors: ['.docs-texteventtarget-iframe'],
+    hosts: ['docs.google.com'],
+    pollingFallback: true
+  });
+
+  // Word/Excel Online
+  register({
+    name: 'office-online',
+    hosts: ['officeapps.live.com', 'office.com'],
+    pollingFallback: true
+  });
+
+  // Slate, Draft and other textbox-role editors
+  register({
+    name: 'rich-textbox',
+    selectors: [
+      '[role="textbox"][contenteditable]',
+      '.notranslate[contenteditable]',
+      '[data-placeholder][contenteditable]'
+    ]
+  });
+
+  register({
+    name: 'quill',
+    selectors: ['.ql-editor'],
+    detect: (el) => el.closest('.ql-editor')
+  });
+
+  // Tiptap/ProseMirror — insert through a transaction so the document model
+  // (not just the DOM) gets the text; plain ProseMirror handles insertText
+  register({
+    name: 'prosemirror',
+    selectors: ['.ProseMirror'],
+    detect: (el) => el.closest('.ProseMirror'),
+    pageBridge: true,
+    replaceBeforeCaret: (root, length, text) => callPageBridge(root, 'replaceBeforeCaret', { editor: 'prosemirror', length, text })
+  });
+
+  register({
+    name: 'tinymce',
+    selectors: ['.tox-edit-area__iframe'],
+    detect: (el) => el.closest('.mce-content-body')
+  });
+
+  register({
+    name: 'ckeditor',
+    selectors: ['.cke_editable', '.ck-editor__editable'],
+    detect: (el) => el.closest('.cke_editable, .ck-editor__editable')
+  });
+
+  // CodeMirror 5 — typing goes to a hidden textarea, the text lives in the editor
+  register({
+    name: 'codemirror',
+    detect: (el) => el.closest('.CodeMirror'),
+    ...bridgedModel('codemirror')
+  });
+
+  // Monaco (VS Code editor) — same story
+  register({
+    name: 'monaco',
+    detect: (el) => el.closest('.monaco-editor'),
+    ...bridgedModel('monaco')
+  });
+})();
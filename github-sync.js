@@ -129,7 +129,7 @@ parseRepoUrl(url) {
     try {
       const url = `https://api.github.com/repos/${this.owner}/${this.repo}/contents/${this.basePath}`;
       
-      const jsonString = JSON.stringify(shortcuts, null, 2);
+      const jsonString = JSON.stringify(this.normalizeShortcuts(shortcuts), null, 2);
       const contentBase64 = btoa(unescape(encodeURIComponent(jsonString)));
       
       const payload = {
@@ -304,6 +304,10 @@ parseRepoUrl(url) {
       const oldEmojis = oldShortcuts[key].emojis || '';
       const newEmojis = newShortcuts[key].emojis || '';
       if (oldEmojis !== newEmojis) return true;
+
+      const oldFormat = oldShortcuts[key].format || 'text';
+      const newFormat = newShortcuts[key].format || 'text';
+      if (oldFormat !== newFormat) return true;
     }
     
     for (const key of newKeys) {
@@ -313,6 +317,15 @@ parseRepoUrl(url) {
     return false;
   }
 
+  // Make sure every shortcut carries its format (older entries are plain text)
+  normalizeShortcuts(shortcuts) {
+    const normalized = {};
+    Object.keys(shortcuts).forEach(key => {
+      normalized[key] = { ...shortcuts[key], format: shortcuts[key].format || 'text' };
+    });
+    return normalized;
+  }
+
   // Simple merge: local data overrides remote
   mergeShortcuts(remote, local) {
     const merged = { ...remote };
@@ -0,0 +1,100 @@
+// Page-world bridge for editor adapters (see editor-adapters.js)
+// Runs in the page's own JavaScript world, where editor instances such as
+// CodeMirror, Monaco and ProseMirror views are reachable. The background
+// injects installPageBridge into a frame only once an editor that needs it
+// is found there, passing the content script's per-session nonce. The
+// content script marks the editor root with data-shortcut-bridge and sends
+// a request event; the answer is sent back synchronously as a response
+// event. Both event names carry the nonce, which keeps them apart from other
+// events — not a secret: page scripts in this world can still read it, so
+// the content script checks every answer (see editor-adapters.js).
+function installPageBridge(nonce) {
+  'use strict';
+
+  if (typeof nonce !== 'string' || nonce.length < 16) return false;
+
+  const editors = {
+    // CodeMirror 5 keeps its instance on the wrapper element
+    codemirror: {
+      find: (root) => root.CodeMirror || null,
+      getText: (cm) => cm.getValue(),
+      getCaret: (cm) => cm.indexFromPos(cm.getCursor()),
+      setCaret: (cm, { offset }) => {
+        cm.setCursor(cm.posFromIndex(offset));
+        return true;
+      },
+      replaceRange: (cm, { start, end, text }) => {
+        cm.replaceRange(text, cm.posFromIndex(start), cm.posFromIndex(end), '+input');
+        cm.setCursor(cm.posFromIndex(start + text.length));
+        cm.focus();
+        return true;
+      }
+    },
+
+    // Monaco instances are only listed by the global API
+    monaco: {
+      find: (root) => {
+        if (!window.monaco || !window.monaco.editor || !window.monaco.editor.getEditors) return null;
+        return window.monaco.editor.getEditors().find(editor => {
+          const node = editor.getDomNode();
+          return node && (node === root || node.contains(root) || root.contains(node));
+        }) || null;
+      },
+      getText: (editor) => editor.getModel().getValue(),
+      getCaret: (editor) => editor.getModel().getOffsetAt(editor.getPosition()),
+      setCaret: (editor, { offset }) => {
+        editor.setPosition(editor.getModel().getPositionAt(offset));
+        return true;
+      },
+      replaceRange: (editor, { start, end, text }) => {
+        const model = editor.getModel();
+        const range = window.monaco.Range.fromPositions(model.getPositionAt(start), model.getPositionAt(end));
+        editor.executeEdits('shortcut-helper', [{ range, text, forceMoveMarkers: true }]);
+        editor.setPosition(model.getPositionAt(start + text.length));
+        editor.focus();
+        return true;
+      }
+    },
+
+    // Tiptap exposes its editor (and ProseMirror view) on the editor element
+    prosemirror: {
+      find: (root) => (root.editor && root.editor.view) || null,
+      replaceBeforeCaret: (view, { length, text }) => {
+        const { from } = view.state.selection;
+        if (from - length < 0) return false;
+        view.dispatch(view.state.tr.insertText(text, from - length, from));
+        view.focus();
+        return true;
+      }
+    }
+  };
+
+  document.addEventListener('shortcut-helper:bridge-request:' + nonce, (e) => {
+    let request;
+    try {
+      request = JSON.parse(e.detail);
+    } catch (err) {
+      return;
+    }
+
+    const respond = (ok, result = null) => {
+      document.dispatchEvent(new CustomEvent('shortcut-helper:bridge-response:' + nonce, {
+        detail: JSON.stringify({ id: request.id, nonce, ok, result })
+      }));
+    };
+
+    try {
+      const handler = editors[request.editor];
+      const root = document.querySelector(`[data-shortcut-bridge="${request.id}"]`);
+      const instance = handler && root ? handler.find(root) : null;
+      if (!instance || typeof handler[request.op] !== 'function') {
+        respond(false);
+        return;
+      }
+      respond(true, handler[request.op](instance, request));
+    } catch (err) {
+      respond(false);
+    }
+  });
+  return true;
+}
@@ -11,16 +11,196 @@ document.getElementById('syncNowBtn').addEventListener('click', syncWithGitHub);
 document.getElementById('cancelSync').addEventListener('click', closeGitHubModal);
 document.getElementById('saveSync').addEventListener('click', saveGitHubSettings);
 
+// Settings Event Listeners
+document.getElementById('settingsBtn').addEventListener('click', openSettings);
+document.getElementById('cancelSettings').addEventListener('click', closeSettingsModal);
+document.getElementById('saveSettings').addEventListener('click', saveSettings);
+document.getElementById('clearCalcMemory').addEventListener('click', clearCalculatorMemory);
+
+// Current Site Event Listeners
+document.getElementById('pauseTabBtn').addEventListener('click', togglePauseTab);
+document.getElementById('blockSiteBtn').addEventListener('click', toggleSiteBlocked);
+
 // GitHub Sync State
 let githubSync = null;
 let syncSettings = null;
 
+// Trigger settings (shortcuts are always stored as "/name")
+let triggerSettings = { prefix: '/', acceptKeys: ['Tab', 'Enter'], instantExpand: false };
+
+// Site rules and the tab the popup was opened on
+let siteRules = { allowList: [], denyList: [] };
+let currentTab = null;
+
+// Extra fields the content script must never touch
+let privacySettings = { excludedSelectors: [] };
+
+// How /cal results are formatted
+let calculatorSettings = { precision: 4, locale: 'en-US', grouping: false, currency: '', historySize: 10 };
+
+// Output format of /date: results
+let dateSettings = { format: 'YYYY-MM-DD' };
+
+// /seq counters are mirrored to chrome.storage.sync when syncCounters is on
+let generatorSettings = { syncCounters: false };
+let countersText = ''; // as shown when the settings were opened
+
 // Load shortcuts and sync settings
 async function loadShortcuts() {
+  await loadTriggerSettings();
+  await loadSiteStatus();
   await loadSyncSettings();
   await loadShortcutsList();
 }
 
+// Load trigger settings from storage
+async function loadTriggerSettings() {
+  const result = await chrome.storage.local.get(['triggerSettings', 'privacySettings', 'calculatorSettings', 'dateSettings', 'generatorSettings']);
+  triggerSettings = { ...triggerSettings, ...result.triggerSettings };
+  privacySettings = { ...privacySettings, ...result.privacySettings };
+  calculatorSettings = { ...calculatorSettings, ...result.calculatorSettings };
+  dateSettings = { ...dateSettings, ...result.dateSettings };
+  generatorSettings = { ...generatorSettings, ...result.generatorSettings };
+  updateTriggerHint();
+}
+
+// A stored "/name" key as typed in pages, with the configured prefix
+function displayKey(key) {
+  return triggerSettings.prefix + key.slice(1);
+}
+
+// Turn what was typed in the trigger field into a stored "/name" key.
+// Accepts the configured prefix, "/" or (with no prefix) just the name.
+function toStoredKey(input) {
+  const prefix = triggerSettings.prefix;
+  let name = input;
+  if (prefix && input.startsWith(prefix)) {
+    name = input.slice(prefix.length);
+  } else if (input.startsWith('/')) {
+    name = input.slice(1);
+  } else if (prefix) {
+    return null;
+  }
+  return '/' + name;
+}
+
+// Load site rules and show whether the current tab expands shortcuts
+async function loadSiteStatus() {
+  const result = await chrome.storage.local.get('siteRules');
+  siteRules = { ...siteRules, ...result.siteRules };
+
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  currentTab = tab && /^https?:/.test(tab.url || '') ? tab : null;
+  await updateSiteBar();
+}
+
+async function getCurrentSiteStatus() {
+  return chrome.runtime.sendMessage({ action: 'getSiteStatus', tabId: currentTab.id, url: currentTab.url });
+}
+
+async function updateSiteBar() {
+  const siteBar = document.getElementById('siteBar');
+  if (!currentTab) {
+    siteBar.style.display = 'none';
+    return;
+  }
+
+  const status = await getCurrentSiteStatus();
+  const hostname = new URL(currentTab.url).hostname;
+
+  let statusMsg = `Active on ${hostname}`;
+  if (status.blocked) statusMsg = `Disabled on ${hostname}`;
+  else if (status.paused) statusMsg = 'Paused on this tab';
+
+  document.getElementById('siteStatusText').textContent = statusMsg;
+  document.getElementById('siteStatusDot').className = status.enabled ? 'sync-dot on' : 'sync-dot off';
+  document.getElementById('pauseTabBtn').textContent = status.paused ? '▶️ Resume tab' : '⏸️ Pause tab';
+  document.getElementById('blockSiteBtn').textContent = status.blocked ? '✅ Enable site' : '🚫 Disable site';
+  siteBar.style.display = 'block';
+}
+
+async function togglePauseTab() {
+  const status = await getCurrentSiteStatus();
+  await chrome.runtime.sendMessage({ action: 'setTabPaused', tabId: currentTab.id, paused: !status.paused });
+  await updateSiteBar();
+  showStatus(status.paused ? 'Expansions resumed on this tab' : 'Expansions paused on this tab', 'success');
+}
+
+// The background matches the rules (wildcards, allow list) the same way
+// content scripts are checked
+async function toggleSiteBlocked() {
+  const hostname = new URL(currentTab.url).hostname;
+  const status = await getCurrentSiteStatus();
+  const result = await chrome.runtime.sendMessage({ action: 'setSiteBlocked', url: currentTab.url, blocked: !status.blocked });
+
+  siteRules = { ...siteRules, ...result.siteRules };
+  await updateSiteBar();
+
+  if (status.blocked) {
+    const removed = result.removed.length ? ` (removed ${result.removed.join(', ')})` : '';
+    showStatus(`Enabled on ${hostname}${removed}`, 'success');
+  } else {
+    showStatus(`Disabled on ${hostname}`, 'success');
+  }
+}
+
+// One pattern per line. A bare "https://site.com/" means the whole domain.
+function parseSitePatterns(text) {
+  return text.split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const origin = line.match(/^https?:\/\/([^/*]+)\/?$/);
+      return origin ? origin[1] : line;
+    });
+}
+
+// Counters as edited in settings: "invoice = INV-#### next 42" per line
+function countersToText(counters) {
+  return Object.entries(counters)
+    .map(([name, counter]) => `${name} = ${counter.format} next ${counter.next}`)
+    .join('\n');
+}
+
+// Lines without "next" leave next undefined — the counter keeps its value
+function parseCounters(text) {
+  const counters = {};
+  for (const line of text.split('\n').map(item => item.trim()).filter(Boolean)) {
+    const match = line.match(/^([a-zA-Z0-9_-]+)\s*=\s*(.*?)(?:\s+next\s+(\d+))?$/);
+    if (!match) {
+      return { error: `Invalid counter line: ${line}` };
+    }
+    const [, name, format, next] = match;
+    counters[name] = {
+      format: format || '#',
+      next: next !== undefined ? Number(next) : undefined
+    };
+  }
+  return { counters };
+}
+
+// Lines changed since the settings were opened, and counters whose lines were
+// deleted. Pages may have moved the others on meanwhile — those aren't sent.
+function diffCounters(shown, edited) {
+  const edits = {};
+  for (const [name, counter] of Object.entries(edited)) {
+    const before = shown[name];
+    if (!before || before.format !== counter.format || (counter.next !== undefined && counter.next !== before.next)) {
+      edits[name] = counter;
+    }
+  }
+  const removed = Object.keys(shown).filter(name => !(name in edited));
+  return { edits, removed };
+}
+
+function updateTriggerHint() {
+  const prefix = triggerSettings.prefix;
+  document.getElementById('shortcut').placeholder = displayKey('/hello');
+  document.getElementById('shortcutHint').textContent = prefix
+    ? `Must start with ${prefix} (e.g., ${displayKey('/gm')})`
+    : 'Letters and numbers only (e.g., gm)';
+}
+
 // Load sync settings from storage
 async function loadSyncSettings() {
   const result = await chrome.storage.local.get(['shortcuts', 'syncSettings']);
@@ -110,9 +290,13 @@ async function loadShortcutsList() {
       emojisHtml = '<div class="no-emojis">No random emojis set</div>';
     }
 
+    const formatBadge = shortcut.format && shortcut.format !== 'text'
+      ? `<span class="format-badge">${shortcut.format === 'markdown' ? 'MD' : 'HTML'}</span>`
+      : '';
+
     item.innerHTML = `
       <div class="shortcut-header">
-        <div class="shortcut-command">${key}</div>
+        <div class="shortcut-command">${displayKey(key)}${formatBadge}</div>
         <div class="shortcut-actions">
           <button class="action-btn edit" data-key="${key}" title="Edit">
             ✏️
@@ -159,6 +343,134 @@ function openGitHubSettings() {
   document.getElementById('githubModal').style.display = 'flex';
 }
 
+// Settings Modal Functions
+async function openSettings() {
+  document.getElementById('triggerPrefix').value = triggerSettings.prefix;
+  document.querySelectorAll('.accept-key').forEach(input => {
+    input.checked = triggerSettings.acceptKeys.includes(input.value);
+  });
+  document.getElementById('instantExpand').checked = triggerSettings.instantExpand;
+  document.getElementById('denyList').value = siteRules.denyList.join('\n');
+  document.getElementById('allowList').value = siteRules.allowList.join('\n');
+  document.getElementById('excludedSelectors').value = privacySettings.excludedSelectors.join('\n');
+  document.getElementById('calcLocale').value = calculatorSettings.locale;
+  document.getElementById('calcGrouping').checked = calculatorSettings.grouping;
+  document.getElementById('calcPrecision').value = calculatorSettings.precision;
+  document.getElementById('calcCurrency').value = calculatorSettings.currency;
+  document.getElementById('calcHistorySize').value = calculatorSettings.historySize;
+  document.getElementById('syncCounters').checked = generatorSettings.syncCounters;
+
+  // Fresh values — pages move counters on whenever /seq is used
+  const stored = await chrome.storage.local.get('counters');
+  countersText = countersToText(stored.counters || {});
+  document.getElementById('counters').value = countersText;
+  document.getElementById('dateFormat').value = dateSettings.format;
+
+  document.getElementById('settingsModal').style.display = 'flex';
+}
+
+function closeSettingsModal() {
+  document.getElementById('settingsModal').style.display = 'none';
+}
+
+async function saveSettings() {
+  const prefix = document.getElementById('triggerPrefix').value.trim();
+  const acceptKeys = Array.from(document.querySelectorAll('.accept-key:checked')).map(input => input.value);
+  const instantExpand = document.getElementById('instantExpand').checked;
+
+  // Letters/digits would be read as part of the trigger name
+  if (/[a-zA-Z0-9\s]/.test(prefix)) {
+    showStatus('Prefix can only contain symbols (e.g., / ; ::)', 'error');
+    return;
+  }
+
+  if (instantExpand && acceptKeys.length === 0) {
+    showStatus('Instant expand needs at least one accept key', 'error');
+    return;
+  }
+
+  const excludedSelectors = document.getElementById('excludedSelectors').value
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+
+  // A broken selector would silently exclude nothing
+  for (const selector of excludedSelectors) {
+    try {
+      document.querySelector(selector);
+    } catch (e) {
+      showStatus(`Invalid selector: ${selector}`, 'error');
+      return;
+    }
+  }
+
+  const precision = Number(document.getElementById('calcPrecision').value);
+  if (!Number.isInteger(precision) || precision < 0 || precision > 10) {
+    showStatus('Decimal places must be a whole number from 0 to 10', 'error');
+    return;
+  }
+
+  const historySize = Number(document.getElementById('calcHistorySize').value);
+  if (!Number.isInteger(historySize) || historySize < 0 || historySize > 50) {
+    showStatus('Calculator history must be a whole number from 0 to 50', 'error');
+    return;
+  }
+
+  const currency = document.getElementById('calcCurrency').value.trim().toUpperCase();
+  if (currency && !/^[A-Z]{3}$/.test(currency)) {
+    showStatus('Currency must be a 3-letter code such as USD or INR', 'error');
+    return;
+  }
+
+  const parsedCounters = parseCounters(document.getElementById('counters').value);
+  if (parsedCounters.error) {
+    showStatus(parsedCounters.error, 'error');
+    return;
+  }
+
+  // The background applies the edits, in turn with /seq inserts
+  const { edits, removed } = diffCounters(parseCounters(countersText).counters, parsedCounters.counters);
+  if (Object.keys(edits).length > 0 || removed.length > 0) {
+    const response = await chrome.runtime.sendMessage({ action: 'editCounters', edits, removed });
+    if (!response || !response.success) {
+      showStatus(`Couldn't save counters: ${(response && response.error) || 'background unavailable'}`, 'error');
+      return;
+    }
+  }
+  const syncCounters = document.getElementById('syncCounters').checked;
+
+  triggerSettings = { prefix, acceptKeys, instantExpand };
+  siteRules = {
+    allowList: parseSitePatterns(document.getElementById('allowList').value),
+    denyList: parseSitePatterns(document.getElementById('denyList').value)
+  };
+  privacySettings = { excludedSelectors };
+  calculatorSettings = {
+    precision,
+    locale: document.getElementById('calcLocale').value,
+    grouping: document.getElementById('calcGrouping').checked,
+    currency,
+    historySize
+  };
+  dateSettings = { format: document.getElementById('dateFormat').value.trim() || 'YYYY-MM-DD' };
+  generatorSettings = { syncCounters };
+  await chrome.storage.local.set({ triggerSettings, siteRules, privacySettings, calculatorSettings, dateSettings, generatorSettings });
+
+  updateTriggerHint();
+  await updateSiteBar();
+  closeSettingsModal();
+  showStatus('Settings saved', 'success');
+
+  // Keys in the list are shown with the new prefix
+  await loadShortcutsList();
+}
+
+// Forget /cal ans, stored variables and history
+async function clearCalculatorMemory() {
+  await chrome.storage.local.set({ calculatorMemory: { ans: null, variables: {}, history: [] } });
+  showStatus('Calculator memory cleared', 'success');
+}
+
 // About Modal Functions
 const aboutBtn = document.getElementById('aboutBtn');
 const aboutModal = document.getElementById('aboutModal');
@@ -181,6 +493,9 @@ window.addEventListener('click', (e) => {
   if (e.target === document.getElementById('githubModal')) {
     closeGitHubModal();
   }
+  if (e.target === document.getElementById('settingsModal')) {
+    closeSettingsModal();
+  }
   if (e.target === aboutModal) {
     aboutModal.style.display = 'none';
   }
@@ -317,12 +632,17 @@ async function syncWithGitHub() {
 
 // Save shortcut with auto-sync to GitHub
 async function saveShortcut() {
-  const shortcutInput = document.getElementById('shortcut').value.trim();
+  const typedShortcut = document.getElementById('shortcut').value.trim();
   const textInput = document.getElementById('text').value.trim();
   const emojisInput = document.getElementById('emojis').value.trim();
+  const formatInput = document.getElementById('format').value;
+  const prefix = triggerSettings.prefix;
 
-  if (!shortcutInput || !shortcutInput.startsWith('/')) {
-    showStatus('Shortcut must start with /', 'error');
+  // Stored key, e.g. ";gm" -> "/gm"
+  const shortcutKey = typedShortcut ? toStoredKey(typedShortcut) : null;
+
+  if (!shortcutKey) {
+    showStatus(prefix ? `Shortcut must start with ${prefix}` : 'Shortcut is required', 'error');
     return;
   }
 
@@ -331,25 +651,36 @@ async function saveShortcut() {
     return;
   }
 
-  if (!shortcutInput.match(/^\/[a-zA-Z0-9]+$/)) {
-    showStatus('Shortcut can only contain letters and numbers after /', 'error');
+  if (!shortcutKey.match(/^\/[a-zA-Z0-9]+$/)) {
+    showStatus(`Shortcut can only contain letters and numbers${prefix ? ' after ' + prefix : ''}`, 'error');
     return;
   }
 
+  // Shown in messages as typed in pages
+  const shortcutInput = displayKey(shortcutKey);
+
   const shortcut = {
     text: textInput,
-    emojis: emojisInput
+    emojis: emojisInput,
+    format: formatInput
   };
 
+  // {clipboard} needs the optional clipboardRead permission on pages that
+  // block the Clipboard API. Ask while the Save click still counts as a
+  // user gesture; saving goes ahead either way.
+  if (/\{clipboard\}/i.test(textInput)) {
+    await requestClipboardPermission();
+  }
+
   // Get current shortcuts
   const result = await chrome.storage.local.get('shortcuts');
   const shortcuts = result.shortcuts || {};
 
   // Check if updating existing or creating new
-  const isUpdate = shortcuts.hasOwnProperty(shortcutInput);
+  const isUpdate = shortcuts.hasOwnProperty(shortcutKey);
 
   // Update/Add the shortcut
-  shortcuts[shortcutInput] = shortcut;
+  shortcuts[shortcutKey] = shortcut;
 
   // Save locally
   await chrome.storage.local.set({ shortcuts });
@@ -358,7 +689,7 @@ async function saveShortcut() {
   console.log('🔄 Auto-sync attempt:', {
     githubSyncExists: !!githubSync,
     syncSettingsEnabled: syncSettings?.enabled,
-    shortcutKey: shortcutInput,
+    shortcutKey: shortcutKey,
     isUpdate: isUpdate
   });
 
@@ -373,7 +704,7 @@ async function saveShortcut() {
 
       if (pullResult.success) {
         // Merge: GitHub data + our new shortcut
-        const updatedShortcuts = { ...pullResult.data, [shortcutInput]: shortcut };
+        const updatedShortcuts = { ...pullResult.data, [shortcutKey]: shortcut };
 
         // Push merged data
         const pushResult = await githubSync.push(updatedShortcuts, pullResult.sha);
@@ -404,11 +735,22 @@ async function saveShortcut() {
   document.getElementById('shortcut').value = '';
   document.getElementById('text').value = '';
   document.getElementById('emojis').value = '';
+  document.getElementById('format').value = 'text';
 
   // Reload shortcuts list
   await loadShortcutsList();
 }
 
+async function requestClipboardPermission() {
+  try {
+    // Resolves straight away without a prompt when already granted
+    return await chrome.permissions.request({ permissions: ['clipboardRead'] });
+  } catch (error) {
+    console.error('Clipboard permission request failed:', error);
+    return false;
+  }
+}
+
 async function deleteShortcut(key, deleteFromGitHub = false) {
   console.log('🗑️ DELETE START:', { key, deleteFromGitHub });
 
@@ -504,14 +846,15 @@ async function editShortcut(key) {
 
   if (shortcut) {
     // Fill form with existing values
-    document.getElementById('shortcut').value = key;
+    document.getElementById('shortcut').value = displayKey(key);
     document.getElementById('text').value = shortcut.text;
     document.getElementById('emojis').value = shortcut.emojis || '';
+    document.getElementById('format').value = shortcut.format || 'text';
 
     // Scroll to form
     document.getElementById('shortcut').focus();
 
-    showStatus(`Editing "${key}" - Update and save`, 'success');
+    showStatus(`Editing "${displayKey(key)}" - Update and save`, 'success');
   }
 }
 
@@ -528,7 +871,7 @@ function showDeleteConfirmation(key) {
       <h3>Delete Shortcut</h3>
     </div>
     <div class="form-group">
-      <p class="form-label" style="font-weight: 500;">Are you sure you want to delete <strong>${key}</strong>?</p>
+      <p class="form-label" style="font-weight: 500;">Are you sure you want to delete <strong>${displayKey(key)}</strong>?</p>
       
       ${githubSync && syncSettings.enabled ? `
       <div style="margin-top: 16px;">